@@ -0,0 +1,54 @@
+const { encodeSession, decodeSession, addStore, parseCookies, serializeCookie, clearCookie } = require('../../lib/session');
+const { isValidShopDomain, verifyHmac, isRecentCallback, exchangeCodeForToken } = require('../../lib/oauth');
+
+// Errors go back to the app, which reopens the connect dialog with the message
+function redirectWithError(res, message) {
+  res.setHeader('Location', `/?connect_error=${encodeURIComponent(message)}`);
+  return res.status(302).end();
+}
+
+// OAuth callback: verify the HMAC, timestamp and state nonce, exchange the code for an offline token
+module.exports = async (req, res) => {
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+  
+  const query = req.query || {};
+  const cookies = parseCookies(req.headers.cookie);
+  
+  if (!verifyHmac(query, process.env.SHOPIFY_API_SECRET)) {
+    return res.status(400).json({ error: 'HMAC validation failed' });
+  }
+  if (!isValidShopDomain(query.shop) || !query.code) {
+    return res.status(400).json({ error: 'Invalid OAuth callback' });
+  }
+  if (!isRecentCallback(query.timestamp)) {
+    return redirectWithError(res, 'Authorization link expired. Please try again.');
+  }
+  
+  const saved = decodeSession(cookies.shopify_oauth_state);
+  if (!saved || saved.nonce !== query.state || saved.shop !== query.shop) {
+    return redirectWithError(res, 'Authorization expired or was started elsewhere. Please try again.');
+  }
+  
+  let token;
+  try {
+    token = await exchangeCodeForToken(query.shop, query.code);
+  } catch (error) {
+    console.error('OAuth token exchange failed:', error.response?.data || error.message);
+    return redirectWithError(res, 'Could not complete the Shopify authorization.');
+  }
+  
+  // Installing on another store adds it to the workspace alongside the ones already connected
+  const current = decodeSession(cookies.shopify_session);
+  const session = encodeSession(addStore(current, { storeName: query.shop, ...token }));
+  try {
+    res.setHeader('Set-Cookie', [
+      serializeCookie('shopify_session', session, req),
+      clearCookie('shopify_oauth_state')
+    ]);
+  } catch (cookieError) {
+    return redirectWithError(res, cookieError.message);
+  }
+  
+  res.setHeader('Location', '/');
+  return res.status(302).end();
+};
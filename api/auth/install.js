@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+const { cleanStoreName } = require('../../lib/shopify');
+const { encodeSession, serializeCookie } = require('../../lib/session');
+const { isValidShopDomain, buildInstallUrl, appUrl } = require('../../lib/oauth');
+
+const STATE_TTL_SECONDS = 600;
+
+// Start the OAuth authorization-code flow: GET /api/auth/install?shop=your-store
+module.exports = async (req, res) => {
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+  
+  if (!process.env.SHOPIFY_API_KEY || !process.env.SHOPIFY_API_SECRET) {
+    return res.status(500).json({ error: 'OAuth is not configured. Set SHOPIFY_API_KEY and SHOPIFY_API_SECRET.' });
+  }
+  
+  const shop = cleanStoreName(String(req.query?.shop || ''));
+  if (!isValidShopDomain(shop)) {
+    return res.status(400).json({ error: 'Invalid shop. Use your-store.myshopify.com' });
+  }
+  
+  // The nonce comes back as `state` on the callback and must match this cookie
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const stateCookie = encodeSession({ nonce, shop }, STATE_TTL_SECONDS);
+  res.setHeader('Set-Cookie', serializeCookie('shopify_oauth_state', stateCookie, req, STATE_TTL_SECONDS));
+  
+  res.setHeader('Location', buildInstallUrl(shop, { redirectUri: `${appUrl(req)}/api/auth/callback`, state: nonce }));
+  return res.status(302).end();
+};
@@ -1,746 +1,514 @@
-const axios = require('axios');
 const alasql = require('alasql');
+const { planPushdown } = require('../lib/pushdown');
+const { API_VERSION, isValidApiVersion, cleanStoreName, graphqlUrl, createThrottle, throttleDelay, shopifyGraphQL, throttleSummary } = require('../lib/shopify');
+const { toBulkQuery, startBulkOperation, pollBulkOperation, downloadBulkResult } = require('../lib/bulk');
+const { quoteReservedColumns, sourceOffset, bindParameters, validateQuery, sourceParseError, runQuery } = require('../lib/sandbox');
+const { fetchRemainingChildren } = require('../lib/nested');
+const {
+  encodeSession,
+  decodeSession,
+  sessionStores,
+  activeStore,
+  addStore,
+  removeStore,
+  sealCredentials,
+  openCredentials,
+  parseCookies,
+  serializeCookie,
+  clearCookie
+} = require('../lib/session');
+const { missingScopes, unavailableTables } = require('../lib/oauth');
+const { sources, tables: tableRegistry, sourceQuery, transformToTable, describeTables } = require('../lib/tables');
+const { checkCompatibility } = require('../lib/schema');
+const { requestedMetafields, withMetafields, metafieldsKey } = require('../lib/metafields');
+const { createTableCache, cacheKey, isFresh, isExpired, cacheAge, latestUpdate, mergeById } = require('../lib/cache');
+const { validateSchedule, createScheduleStore, snapshotTables, snapshotRows, publicSchedule } = require('../lib/schedules');
+const { createQueryLibrary } = require('../lib/library');
+const { CONTINUATION_TTL_SECONDS, createContinuationStore } = require('../lib/continuations');
+const { EXPORT_FORMATS, streamExport } = require('../lib/export');
+const { explainStatement, queryTables, estimateQueryCost, memoryPlan } = require('../lib/plan');
+const { usesShopTimezone } = require('../lib/functions');
+const { generateApiKey, validateKeyTables, publicApiKey, createApiKeyStore } = require('../lib/apikeys');
 
-// Add custom SQL functions
-alasql.fn.SHA2 = function(str, bits) {
-  if (!str) return null;
-  const crypto = require('crypto');
-  const algorithm = bits === 256 ? 'sha256' : bits === 512 ? 'sha512' : 'sha256';
-  return crypto.createHash(algorithm).update(String(str)).digest('hex');
-};
+// Functions the editor offers: every upper-case alasql.fn and alasql.aggr (lib/functions.js plus
+// alasql's own) and the compiled-in alasql built-ins worth suggesting
+const BUILTIN_FUNCTIONS = ['CEIL', 'FLOOR', 'POWER', 'SQRT', 'REPLACE', 'GREATEST', 'LEAST'];
+const sqlFunctions = () => [...new Set([...Object.keys(alasql.fn), ...Object.keys(alasql.aggr)].filter(name => name === name.toUpperCase()).concat(BUILTIN_FUNCTIONS))];
 
-alasql.fn.MD5 = function(str) {
-  if (!str) return null;
-  const crypto = require('crypto');
-  return crypto.createHash('md5').update(String(str)).digest('hex');
-};
+const CLEAR_SESSION_COOKIE = clearCookie('shopify_session');
 
-alasql.fn.LOWER = function(str) {
-  return str ? String(str).toLowerCase() : null;
-};
-
-alasql.fn.UPPER = function(str) {
-  return str ? String(str).toUpperCase() : null;
-};
-
-alasql.fn.CONCAT = function(...args) {
-  return args.filter(a => a != null).join('');
-};
-
-alasql.fn.SUBSTRING = function(str, start, length) {
-  if (!str) return null;
-  return String(str).substring(start - 1, length ? start - 1 + length : undefined);
-};
-
-alasql.fn.TRIM = function(str) {
-  return str ? String(str).trim() : null;
-};
-
-alasql.fn.LENGTH = function(str) {
-  return str ? String(str).length : 0;
-};
-
-alasql.fn.NOW = function() {
-  return new Date().toISOString();
-};
-
-alasql.fn.DATE = function(str) {
-  if (!str) return null;
-  return new Date(str).toISOString().split('T')[0];
-};
+// Row and time budgets
+const PAGE_SIZE = 50;
+const DEFAULT_ROW_BUDGET = parseInt(process.env.DEFAULT_ROW_BUDGET, 10) || 250;
+const QUERY_TIME_BUDGET_MS = parseInt(process.env.QUERY_TIME_BUDGET_MS, 10) || 8000;
+// Row budgets above this use the Bulk Operations API instead of the cursor loop
+const BULK_ROW_THRESHOLD = parseInt(process.env.BULK_ROW_THRESHOLD, 10) || 10000;
 
-alasql.fn.YEAR = function(str) {
-  if (!str) return null;
-  return new Date(str).getFullYear();
-};
+// Helper functions
+// 'all' (or any non-positive value) fetches every record
+function parseRowBudget(value) {
+  if (value == null || value === '') return DEFAULT_ROW_BUDGET;
+  if (value === 'all') return Infinity;
+  const budget = parseInt(value, 10);
+  return budget > 0 ? budget : Infinity;
+}
 
-alasql.fn.MONTH = function(str) {
-  if (!str) return null;
-  return new Date(str).getMonth() + 1;
-};
+const tableCache = createTableCache();
+// Continuation tokens are sealed like the session cookie, so cursors and the staged-rows handle can't be forged.
+// Resuming on another instance needs a shared CONTINUATION_STORE (see lib/continuations.js).
+const continuations = createContinuationStore();
+const queryLibrary = createQueryLibrary();
 
-alasql.fn.DAY = function(str) {
-  if (!str) return null;
-  return new Date(str).getDate();
-};
+// Created on first use, so deployments that never schedule anything don't touch the disk
+let scheduleStore = null;
+const schedules = () => scheduleStore || (scheduleStore = createScheduleStore());
+let apiKeyStore;
+const apiKeys = () => apiKeyStore || (apiKeyStore = createApiKeyStore());
 
-alasql.fn.COALESCE = function(...args) {
-  for (const arg of args) {
-    if (arg != null) return arg;
+// Fetch data from Shopify GraphQL API.
+// Pages through the cursor loop until the row budget is spent, the connection ends, or the
+// deadline passes; `cursor` is returned so a later request can resume where this one stopped.
+async function fetchShopifyData(storeName, accessToken, resource, {
+  maxRecords = DEFAULT_ROW_BUDGET,
+  search = null,
+  after = null,
+  fetched = 0,
+  deadline = Infinity,
+  throttle = createThrottle(),
+  metafields = [],
+  apiVersion = API_VERSION
+} = {}) {
+  if (!tableRegistry[resource]) {
+    throw new Error(`Unknown table: ${resource}`);
   }
-  return null;
-};
-
-alasql.fn.IFNULL = function(val, defaultVal) {
-  return val != null ? val : defaultVal;
-};
-
-alasql.fn.NULLIF = function(val1, val2) {
-  return val1 === val2 ? null : val1;
-};
-
-alasql.fn.CAST = function(val, type) {
-  if (val == null) return null;
-  switch(type?.toUpperCase()) {
-    case 'INT':
-    case 'INTEGER':
-      return parseInt(val, 10);
-    case 'FLOAT':
-    case 'DECIMAL':
-    case 'DOUBLE':
-      return parseFloat(val);
-    case 'STRING':
-    case 'VARCHAR':
-    case 'CHAR':
-      return String(val);
-    default:
-      return val;
+  const query = withMetafields(sourceQuery(tableRegistry[resource].source, apiVersion), metafields);
+  
+  const url = graphqlUrl(storeName, apiVersion);
+  let allData = [];
+  let hasNextPage = true;
+  let cursor = after;
+  let pages = 0;
+  
+  // For non-paginated queries (shop, locations)
+  if (!query.includes('$first')) {
+    const responseData = await shopifyGraphQL(url, accessToken, { query }, { throttle });
+    const key = Object.keys(responseData)[0];
+    const data = responseData[key];
+    const nodes = data.nodes || [data];
+    return { rows: transformToTable(resource, nodes), nodes, fetched: nodes.length, cursor: null, complete: true, truncated: false };
   }
-};
+  
+  // Paginated queries
+  while (hasNextPage && fetched + allData.length < maxRecords) {
+    // Always make progress, then stop early enough to answer inside the serverless time limit,
+    // counting the time we'd have to wait for the cost bucket to refill
+    if (pages > 0 && Date.now() + throttleDelay(throttle) >= deadline) break;
+    
+    const variables = { first: Math.min(PAGE_SIZE, maxRecords - fetched - allData.length), after: cursor, query: search };
+    const responseData = await shopifyGraphQL(url, accessToken, { query, variables }, { throttle });
+    
+    const key = Object.keys(responseData)[0];
+    const result = responseData[key];
+    // Finish nested connections (line items, variants, ...) before moving on, even past the
+    // deadline, so a parent row never comes back with only some of its children
+    await fetchRemainingChildren(url, accessToken, query, result.nodes || [], { throttle });
+    allData = allData.concat(result.nodes || []);
+    hasNextPage = Boolean(result.pageInfo?.hasNextPage);
+    cursor = result.pageInfo?.endCursor;
+    pages++;
+  }
+  
+  const total = fetched + allData.length;
+  return {
+    rows: transformToTable(resource, allData),
+    nodes: allData,
+    fetched: total,
+    cursor: hasNextPage ? cursor : null,
+    complete: !hasNextPage,
+    truncated: hasNextPage && total >= maxRecords
+  };
+}
 
-// Helper functions
-function cleanStoreName(storeName) {
-  let cleaned = storeName
-    .trim()
-    .toLowerCase()
-    .replace(/^https?:\/\//, '')
-    .replace(/\/$/, '')
-    .replace(/\/.*$/, '');
+// Fetch a whole table through a bulk operation. Tables built from the same resource and search
+// share one operation through `runs`; an unfinished operation is returned as `operationId` to poll later.
+async function fetchShopifyBulk(storeName, accessToken, resource, {
+  maxRecords = Infinity,
+  search = null,
+  operationId = null,
+  deadline = Infinity,
+  throttle = createThrottle(),
+  runs = {},
+  metafields = [],
+  apiVersion = API_VERSION
+} = {}) {
+  const baseResource = tableRegistry[resource].source;
+  const url = graphqlUrl(storeName, apiVersion);
+  const runKey = `${baseResource}:${search || ''}:${metafieldsKey(metafields)}`;
+  const waiting = { rows: [], nodes: [], fetched: 0, cursor: null, complete: false, truncated: false, pending: true };
+  
+  let run = runs[runKey];
+  if (!run) {
+    // Shopify runs one bulk query per shop at a time, so wait for ours to finish first
+    if (!operationId && Object.values(runs).some(r => !r.nodes)) {
+      return { ...waiting, operationId: null };
+    }
+    const id = operationId || await startBulkOperation(url, accessToken, toBulkQuery(withMetafields(sourceQuery(baseResource, apiVersion), metafields), search), { throttle });
+    run = runs[runKey] = { id, nodes: null };
+  }
   
-  if (!cleaned.includes('.myshopify.com') && !cleaned.includes('.')) {
-    cleaned = `${cleaned}.myshopify.com`;
+  if (!run.nodes) {
+    const operation = await pollBulkOperation(url, accessToken, run.id, { deadline, throttle });
+    if (!operation) return { ...waiting, operationId: run.id };
+    run.nodes = await downloadBulkResult(operation);
   }
   
-  return cleaned;
+  const nodes = run.nodes.slice(0, maxRecords);
+  return {
+    rows: transformToTable(resource, nodes),
+    nodes,
+    fetched: nodes.length,
+    cursor: null,
+    complete: nodes.length === run.nodes.length,
+    truncated: nodes.length < run.nodes.length,
+    pending: false
+  };
 }
 
-function encodeSession(data) {
-  return Buffer.from(JSON.stringify(data)).toString('base64');
+// Tables users can name in SQL; internal ones are only fetched as parts of another table
+function publicTables() {
+  return Object.keys(tableRegistry).filter(table => !tableRegistry[table].internal);
 }
 
-function decodeSession(encoded) {
-  try {
-    return JSON.parse(Buffer.from(encoded, 'base64').toString('utf8'));
-  } catch {
-    return null;
-  }
+// Tables the query reads, from the parsed statement: a table named only in a string literal,
+// a comment or a CTE name isn't fetched
+function detectTablesFromSQL(sql) {
+  const known = publicTables();
+  return queryTables(sql).filter(table => known.includes(table));
 }
 
-function parseCookies(cookieHeader) {
-  const cookies = {};
-  if (cookieHeader) {
-    cookieHeader.split(';').forEach(cookie => {
-      const [name, value] = cookie.trim().split('=');
-      if (name && value) cookies[name] = value;
-    });
-  }
-  return cookies;
+// An entry can hold more records than the row budget; like a live fetch, the answer is the first
+// maxRecords of them, truncated (and not resumable) when there were more
+function cachedResult(table, nodes, { complete, status, age, maxRecords }) {
+  const kept = nodes.length > maxRecords ? nodes.slice(0, maxRecords) : nodes;
+  const whole = complete && kept.length === nodes.length;
+  return {
+    rows: transformToTable(table, kept),
+    nodes: kept,
+    fetched: kept.length,
+    cursor: null,
+    complete: whole,
+    truncated: !whole,
+    cache: { status, age_seconds: age }
+  };
 }
 
-// GraphQL queries for each resource
-const graphqlQueries = {
-  orders: `
-    query($first: Int!, $after: String) {
-      orders(first: $first, after: $after) {
-        pageInfo { hasNextPage endCursor }
-        nodes {
-          id
-          name
-          email
-          createdAt
-          updatedAt
-          cancelledAt
-          closedAt
-          processedAt
-          totalPriceSet { shopMoney { amount currencyCode } }
-          subtotalPriceSet { shopMoney { amount currencyCode } }
-          totalTaxSet { shopMoney { amount currencyCode } }
-          totalShippingPriceSet { shopMoney { amount currencyCode } }
-          totalDiscountsSet { shopMoney { amount currencyCode } }
-          totalRefundedSet { shopMoney { amount currencyCode } }
-          displayFinancialStatus
-          displayFulfillmentStatus
-          fulfillable
-          note
-          tags
-          sourceName
-          customerJourneySummary {
-            ready
-            daysToConversion
-            momentsCount { count }
-            firstVisit {
-              occurredAt
-              landingPage
-              referrerUrl
-              source
-              sourceType
-              referralCode
-              utmParameters {
-                source
-                medium
-                campaign
-                content
-                term
-              }
-            }
-            lastVisit {
-              occurredAt
-              landingPage
-              referrerUrl
-              source
-              sourceType
-              referralCode
-              utmParameters {
-                source
-                medium
-                campaign
-                content
-                term
-              }
-            }
-          }
-          customer { id firstName lastName email phone }
-          shippingAddress { address1 address2 city province country zip }
-          billingAddress { address1 address2 city province country zip }
-          lineItems(first: 50) { nodes { id title quantity sku vendor 
-            originalUnitPriceSet { shopMoney { amount } }
-            discountedUnitPriceSet { shopMoney { amount } }
-            variant { id title sku }
-            product { id title }
-          }}
-        }
-      }
-    }
-  `,
-  
-  products: `
-    query($first: Int!, $after: String) {
-      products(first: $first, after: $after) {
-        pageInfo { hasNextPage endCursor }
-        nodes {
-          id
-          title
-          handle
-          descriptionHtml
-          description
-          vendor
-          productType
-          tags
-          status
-          createdAt
-          updatedAt
-          publishedAt
-          totalInventory
-          tracksInventory
-          priceRangeV2 {
-            minVariantPrice { amount currencyCode }
-            maxVariantPrice { amount currencyCode }
-          }
-          options { name values }
-          variants(first: 100) { 
-            nodes { 
-              id title sku barcode price compareAtPrice
-              inventoryQuantity availableForSale
-              weight weightUnit
-              selectedOptions { name value }
-              inventoryItem { id tracked }
-            } 
-          }
-          images(first: 10) { nodes { url altText } }
-          featuredImage { url altText }
-          seo { title description }
-          collections(first: 10) { nodes { id title } }
-        }
-      }
-    }
-  `,
+// Answer a table from the cache when an entry covers it. Fresh entries cost nothing; stale complete
+// entries fetch only the records updated since their watermark and merge them in by id, until they
+// reach TABLE_CACHE_MAX_AGE_SECONDS and are fetched again in full.
+async function readTableCache(store, table, { search, maxRecords, deadline, throttle, metafields, apiVersion }) {
+  const resource = tableRegistry[table].source;
+  const cached = cachedSource(resource, metafields);
+  // A complete unfiltered entry answers any pushdown filter, since the SQL filters the rows again
+  const keys = [...new Set([cacheKey(store, cached, apiVersion), cacheKey(store, cached, apiVersion, search)])];
   
-  customers: `
-    query($first: Int!, $after: String) {
-      customers(first: $first, after: $after) {
-        pageInfo { hasNextPage endCursor }
-        nodes {
-          id
-          firstName
-          lastName
-          email
-          phone
-          createdAt
-          updatedAt
-          note
-          tags
-          state
-          taxExempt
-          verifiedEmail
-          validEmailAddress
-          numberOfOrders
-          amountSpent { amount currencyCode }
-          defaultAddress { 
-            address1 address2 city province provinceCode country countryCodeV2 zip 
-            company phone
-          }
-        }
+  for (const key of keys) {
+    const entry = await tableCache.get(key);
+    if (!entry) continue;
+    
+    if (isFresh(entry)) {
+      // A partial entry is the first N records for its own search; it only helps that search, and
+      // only when the row budget fits inside it
+      if (entry.complete || ((entry.search || null) === (search || null) && entry.nodes.length >= maxRecords)) {
+        return cachedResult(table, entry.nodes, { complete: entry.complete, status: 'hit', age: cacheAge(entry), maxRecords });
       }
+      continue;
     }
-  `,
+    
+    if (!entry.complete || !entry.watermark || !sources[resource].incremental || isExpired(entry)) continue;
+    
+    // Updates are fetched without the entry's search: a record that stopped matching it must still replace
+    // its old copy, and the SQL filters the merged rows again.
+    // >= rather than > so a record updated within the watermark's second isn't missed; merging by id dedupes it
+    const update = await fetchShopifyData(store.storeName, store.accessToken, resource, {
+      maxRecords: Infinity,
+      search: `updated_at:>='${entry.watermark}'`,
+      deadline,
+      throttle,
+      metafields,
+      apiVersion
+    });
+    const nodes = mergeById(entry.nodes, update.nodes);
+    
+    // An update cut short by the deadline keeps the old watermark, so the next refresh asks again
+    if (!update.complete) return cachedResult(table, nodes, { complete: true, status: 'stale', age: cacheAge(entry), maxRecords });
+    await writeTableCache(key, { ...entry, nodes, watermark: latestUpdate(nodes) || entry.watermark, syncedAt: Date.now() });
+    return cachedResult(table, nodes, { complete: true, status: 'refreshed', age: 0, maxRecords });
+  }
   
-  collections: `
-    query($first: Int!, $after: String) {
-      collections(first: $first, after: $after) {
-        pageInfo { hasNextPage endCursor }
-        nodes {
-          id
-          title
-          handle
-          description
-          descriptionHtml
-          sortOrder
-          productsCount { count }
-          updatedAt
-          image { url altText }
-          seo { title description }
-        }
-      }
-    }
-  `,
+  return null;
+}
+
+// Cache entries are per source and requested metafields, since those change the fetched nodes
+function cachedSource(resource, metafields) {
+  const key = metafieldsKey(metafields);
+  return key ? `${resource}[${key}]` : resource;
+}
+
+// A cache that can't be written shouldn't fail the query
+async function writeTableCache(key, entry) {
+  try {
+    await tableCache.set(key, entry);
+  } catch (error) {
+    console.error('Table cache write failed:', error.message);
+  }
+}
+
+// Fetch every referenced table from one store, resuming each table from `resumeTables` where given.
+// `refresh` drops a resource's cache entries before its first fetch, so they're rebuilt from Shopify.
+async function fetchStoreTables(store, tables, { pushdown, rowBudget, deadline, metafields = [], refresh = false, resumeTables = {} }) {
+  const { storeName, accessToken, scopes } = store;
+  const apiVersion = store.apiVersion || API_VERSION;
   
-  inventory_items: `
-    query($first: Int!, $after: String) {
-      inventoryItems(first: $first, after: $after) {
-        pageInfo { hasNextPage endCursor }
-        nodes {
-          id
-          sku
-          tracked
-          createdAt
-          updatedAt
-          countryCodeOfOrigin
-          provinceCodeOfOrigin
-          harmonizedSystemCode
-          inventoryLevels(first: 10) {
-            nodes {
-              id
-              available
-              location { id name }
-            }
-          }
-          variant { id title product { id title } }
-        }
-      }
+  if (scopes) {
+    const blocked = unavailableTables(scopes).filter(u => tables.includes(u.table));
+    if (blocked.length > 0) {
+      const error = new Error(`Missing access scope: ${blocked.map(u => `${u.table} needs ${u.scope}`).join(', ')}. Reconnect with the scope granted.`);
+      error.status = 403;
+      throw error;
     }
-  `,
+  }
   
-  locations: `
-    query {
-      locations(first: 50) {
-        nodes {
-          id
-          name
-          address { address1 address2 city province country zip }
-          isActive
-          fulfillsOnlineOrders
-          hasActiveInventory
-        }
-      }
-    }
-  `,
+  const throttle = createThrottle();
+  const bulkRuns = {};
+  const refreshed = new Set();
+  const rows = {};
+  const meta = {};
   
-  shop: `
-    query {
-      shop {
-        id
-        name
-        email
-        myshopifyDomain
-        primaryDomain { url host }
-        currencyCode
-        weightUnit
-        timezoneAbbreviation
-        billingAddress { address1 city province country zip }
-        plan { displayName partnerDevelopment shopifyPlus }
-      }
+  for (const table of tables) {
+    const state = resumeTables[table];
+    
+    if (state && !state.pending) {
+      rows[table] = [];
+      meta[table] = state;
+      continue;
     }
-  `
-};
-
-// Transform GraphQL responses to flat table format
-function transformToTable(resource, data) {
-  switch(resource) {
-    case 'orders':
-      return data.map(o => {
-        const journey = o.customerJourneySummary;
-        const firstVisit = journey?.firstVisit;
-        const lastVisit = journey?.lastVisit;
-        
-        return {
-          // Order identifiers
-          id: o.id?.split('/').pop(),
-          order_number: o.name,
-          email: o.email,
-          
-          // Timestamps
-          created_at: o.createdAt,
-          updated_at: o.updatedAt,
-          cancelled_at: o.cancelledAt,
-          closed_at: o.closedAt,
-          processed_at: o.processedAt,
-          
-          // Financial
-          total_price: parseFloat(o.totalPriceSet?.shopMoney?.amount || 0),
-          subtotal_price: parseFloat(o.subtotalPriceSet?.shopMoney?.amount || 0),
-          total_tax: parseFloat(o.totalTaxSet?.shopMoney?.amount || 0),
-          total_shipping: parseFloat(o.totalShippingPriceSet?.shopMoney?.amount || 0),
-          total_discounts: parseFloat(o.totalDiscountsSet?.shopMoney?.amount || 0),
-          total_refunded: parseFloat(o.totalRefundedSet?.shopMoney?.amount || 0),
-          currency: o.totalPriceSet?.shopMoney?.currencyCode,
-          
-          // Status
-          financial_status: o.displayFinancialStatus,
-          fulfillment_status: o.displayFulfillmentStatus,
-          fulfillable: o.fulfillable,
-          
-          // Misc
-          note: o.note,
-          tags: o.tags?.join(', '),
-          source_name: o.sourceName,
-          line_items_count: o.lineItems?.nodes?.length || 0,
-          
-          // Customer Journey
-          journey_ready: journey?.ready,
-          days_to_conversion: journey?.daysToConversion,
-          touchpoints_count: journey?.momentsCount?.count,
-          
-          // First Visit (Acquisition)
-          first_visit_at: firstVisit?.occurredAt,
-          first_landing_page: firstVisit?.landingPage,
-          first_referrer: firstVisit?.referrerUrl,
-          first_source: firstVisit?.source,
-          first_source_type: firstVisit?.sourceType,
-          first_referral_code: firstVisit?.referralCode,
-          first_utm_source: firstVisit?.utmParameters?.source,
-          first_utm_medium: firstVisit?.utmParameters?.medium,
-          first_utm_campaign: firstVisit?.utmParameters?.campaign,
-          first_utm_content: firstVisit?.utmParameters?.content,
-          first_utm_term: firstVisit?.utmParameters?.term,
-          
-          // Last Visit (Conversion)
-          last_visit_at: lastVisit?.occurredAt,
-          last_landing_page: lastVisit?.landingPage,
-          last_referrer: lastVisit?.referrerUrl,
-          last_source: lastVisit?.source,
-          last_source_type: lastVisit?.sourceType,
-          last_referral_code: lastVisit?.referralCode,
-          last_utm_source: lastVisit?.utmParameters?.source,
-          last_utm_medium: lastVisit?.utmParameters?.medium,
-          last_utm_campaign: lastVisit?.utmParameters?.campaign,
-          last_utm_content: lastVisit?.utmParameters?.content,
-          last_utm_term: lastVisit?.utmParameters?.term,
-          
-          // Customer
-          customer_id: o.customer?.id?.split('/').pop(),
-          customer_email: o.customer?.email,
-          customer_first_name: o.customer?.firstName,
-          customer_last_name: o.customer?.lastName,
-          customer_phone: o.customer?.phone,
-          
-          // Shipping Address
-          shipping_address1: o.shippingAddress?.address1,
-          shipping_address2: o.shippingAddress?.address2,
-          shipping_city: o.shippingAddress?.city,
-          shipping_province: o.shippingAddress?.province,
-          shipping_country: o.shippingAddress?.country,
-          shipping_zip: o.shippingAddress?.zip,
-          
-          // Billing Address
-          billing_address1: o.billingAddress?.address1,
-          billing_address2: o.billingAddress?.address2,
-          billing_city: o.billingAddress?.city,
-          billing_province: o.billingAddress?.province,
-          billing_country: o.billingAddress?.country,
-          billing_zip: o.billingAddress?.zip
-        };
-      });
-      
-    case 'order_line_items':
-      const lineItems = [];
-      data.forEach(o => {
-        (o.lineItems?.nodes || []).forEach(li => {
-          lineItems.push({
-            id: li.id?.split('/').pop(),
-            order_id: o.id?.split('/').pop(),
-            order_number: o.name,
-            title: li.title,
-            quantity: li.quantity,
-            sku: li.sku || li.variant?.sku,
-            vendor: li.vendor,
-            unit_price: parseFloat(li.originalUnitPriceSet?.shopMoney?.amount || 0),
-            discounted_price: parseFloat(li.discountedUnitPriceSet?.shopMoney?.amount || 0),
-            variant_id: li.variant?.id?.split('/').pop(),
-            variant_title: li.variant?.title,
-            product_id: li.product?.id?.split('/').pop(),
-            product_title: li.product?.title
-          });
-        });
-      });
-      return lineItems;
-      
-    case 'products':
-      return data.map(p => ({
-        id: p.id?.split('/').pop(),
-        title: p.title,
-        handle: p.handle,
-        description: p.description,
-        vendor: p.vendor,
-        product_type: p.productType,
-        tags: p.tags?.join(', '),
-        status: p.status,
-        created_at: p.createdAt,
-        updated_at: p.updatedAt,
-        published_at: p.publishedAt,
-        total_inventory: p.totalInventory,
-        tracks_inventory: p.tracksInventory,
-        min_price: parseFloat(p.priceRangeV2?.minVariantPrice?.amount || 0),
-        max_price: parseFloat(p.priceRangeV2?.maxVariantPrice?.amount || 0),
-        currency: p.priceRangeV2?.minVariantPrice?.currencyCode,
-        options: p.options?.map(o => o.name).join(', '),
-        image_url: p.featuredImage?.url,
-        seo_title: p.seo?.title,
-        seo_description: p.seo?.description,
-        collections: p.collections?.nodes?.map(c => c.title).join(', '),
-        variants_count: p.variants?.nodes?.length || 0
-      }));
-      
-    case 'product_variants':
-      const variants = [];
-      data.forEach(p => {
-        (p.variants?.nodes || []).forEach(v => {
-          variants.push({
-            id: v.id?.split('/').pop(),
-            product_id: p.id?.split('/').pop(),
-            product_title: p.title,
-            title: v.title,
-            sku: v.sku,
-            barcode: v.barcode,
-            price: parseFloat(v.price || 0),
-            compare_at_price: v.compareAtPrice ? parseFloat(v.compareAtPrice) : null,
-            inventory_quantity: v.inventoryQuantity,
-            available_for_sale: v.availableForSale,
-            weight: v.weight,
-            weight_unit: v.weightUnit,
-            options: v.selectedOptions?.map(o => `${o.name}: ${o.value}`).join(', '),
-            inventory_item_id: v.inventoryItem?.id?.split('/').pop(),
-            inventory_tracked: v.inventoryItem?.tracked
-          });
-        });
-      });
-      return variants;
-      
-    case 'customers':
-      return data.map(c => ({
-        id: c.id?.split('/').pop(),
-        email: c.email,
-        first_name: c.firstName,
-        last_name: c.lastName,
-        full_name: [c.firstName, c.lastName].filter(Boolean).join(' '),
-        phone: c.phone,
-        created_at: c.createdAt,
-        updated_at: c.updatedAt,
-        note: c.note,
-        tags: c.tags?.join(', '),
-        state: c.state,
-        tax_exempt: c.taxExempt,
-        verified_email: c.verifiedEmail,
-        valid_email: c.validEmailAddress,
-        orders_count: c.numberOfOrders,
-        total_spent: parseFloat(c.amountSpent?.amount || 0),
-        currency: c.amountSpent?.currencyCode,
-        address1: c.defaultAddress?.address1,
-        address2: c.defaultAddress?.address2,
-        city: c.defaultAddress?.city,
-        province: c.defaultAddress?.province,
-        province_code: c.defaultAddress?.provinceCode,
-        country: c.defaultAddress?.country,
-        country_code: c.defaultAddress?.countryCodeV2,
-        zip: c.defaultAddress?.zip,
-        company: c.defaultAddress?.company
-      }));
-      
-    case 'collections':
-      return data.map(c => ({
-        id: c.id?.split('/').pop(),
-        title: c.title,
-        handle: c.handle,
-        description: c.description,
-        sort_order: c.sortOrder,
-        products_count: c.productsCount?.count,
-        updated_at: c.updatedAt,
-        image_url: c.image?.url,
-        seo_title: c.seo?.title,
-        seo_description: c.seo?.description
-      }));
+    
+    const resource = tableRegistry[table].source;
+    const strategy = state?.strategy ||
+      (rowBudget > BULK_ROW_THRESHOLD && sources[resource].bulk ? 'bulk' : 'paginated');
+    
+    const search = pushdown[table]?.search || null;
+    
+    try {
+      const costBefore = throttle.actualCost;
+      const started = Date.now();
+      const options = { maxRecords: rowBudget, search, deadline, throttle, metafields, apiVersion };
       
-    case 'inventory_items':
-      return data.map(i => ({
-        id: i.id?.split('/').pop(),
-        sku: i.sku,
-        tracked: i.tracked,
-        created_at: i.createdAt,
-        updated_at: i.updatedAt,
-        country_of_origin: i.countryCodeOfOrigin,
-        province_of_origin: i.provinceCodeOfOrigin,
-        hs_code: i.harmonizedSystemCode,
-        variant_id: i.variant?.id?.split('/').pop(),
-        variant_title: i.variant?.title,
-        product_id: i.variant?.product?.id?.split('/').pop(),
-        product_title: i.variant?.product?.title
-      }));
+      // Resumed tables continue their own cursor or bulk operation rather than consult the cache
+      let result = null;
+      if (tableCache && !state) {
+        if (refresh && !refreshed.has(resource)) {
+          refreshed.add(resource);
+          await Promise.all([null, search].map(s => tableCache.delete(cacheKey(store, cachedSource(resource, metafields), apiVersion, s))));
+        } else {
+          result = await readTableCache(store, table, options);
+        }
+      }
       
-    case 'inventory_levels':
-      const levels = [];
-      data.forEach(i => {
-        (i.inventoryLevels?.nodes || []).forEach(l => {
-          levels.push({
-            id: l.id?.split('/').pop(),
-            inventory_item_id: i.id?.split('/').pop(),
-            sku: i.sku,
-            location_id: l.location?.id?.split('/').pop(),
-            location_name: l.location?.name,
-            available: l.available,
-            product_title: i.variant?.product?.title,
-            variant_title: i.variant?.title
+      if (!result) {
+        result = strategy === 'bulk'
+          ? await fetchShopifyBulk(storeName, accessToken, table, { ...options, operationId: state?.operationId, runs: bulkRuns })
+          : await fetchShopifyData(storeName, accessToken, table, { ...options, after: state?.cursor, fetched: state?.fetched || 0 });
+        
+        // Only a fetch that started from the first record leaves a usable entry: the whole resource or its first N records
+        if (tableCache && !state && (result.complete || result.truncated)) {
+          await writeTableCache(cacheKey(store, cachedSource(resource, metafields), apiVersion, search), {
+            nodes: result.nodes,
+            complete: result.complete,
+            search,
+            watermark: latestUpdate(result.nodes),
+            fetchedAt: Date.now(),
+            syncedAt: Date.now()
           });
-        });
-      });
-      return levels;
-      
-    case 'locations':
-      return data.map(l => ({
-        id: l.id?.split('/').pop(),
-        name: l.name,
-        address1: l.address?.address1,
-        address2: l.address?.address2,
-        city: l.address?.city,
-        province: l.address?.province,
-        country: l.address?.country,
-        zip: l.address?.zip,
-        is_active: l.isActive,
-        fulfills_online_orders: l.fulfillsOnlineOrders,
-        has_active_inventory: l.hasActiveInventory
-      }));
-      
-    case 'shop':
-      const s = data;
-      return [{
-        id: s.id?.split('/').pop(),
-        name: s.name,
-        email: s.email,
-        myshopify_domain: s.myshopifyDomain,
-        domain: s.primaryDomain?.url,
-        currency: s.currencyCode,
-        weight_unit: s.weightUnit,
-        timezone: s.timezoneAbbreviation,
-        plan_name: s.plan?.displayName,
-        is_partner_dev: s.plan?.partnerDevelopment,
-        is_plus: s.plan?.shopifyPlus
-      }];
+          result.cache = { status: 'miss', age_seconds: 0 };
+        }
+      }
       
-    default:
-      return data;
+      rows[table] = result.rows;
+      meta[table] = {
+        strategy,
+        fetched: result.fetched,
+        complete: result.complete,
+        truncated: result.truncated,
+        cost: throttle.actualCost - costBefore,
+        fetch_ms: Date.now() - started,
+        pending: Boolean(result.pending || (result.cursor && !result.truncated)),
+        cursor: result.truncated ? null : result.cursor,
+        operationId: result.operationId || null,
+        cache: result.cache || null
+      };
+    } catch (error) {
+      console.error(`Error fetching ${table} from ${storeName}:`, error.message);
+      error.message = `Failed to fetch ${table}: ${error.message}`;
+      throw error;
+    }
   }
+  
+  return { rows, meta, cost: throttleSummary(throttle) };
 }
 
-// Fetch data from Shopify GraphQL API
-async function fetchShopifyData(storeName, accessToken, resource, maxRecords = 250) {
-  const sourceMap = {
-    'order_line_items': 'orders',
-    'product_variants': 'products',
-    'inventory_levels': 'inventory_items'
-  };
+// What fetchStoreTables would send to one store, without sending it: per table the GraphQL request,
+// the pages it takes and their estimated cost. Cached tables skip their requests, but whether
+// the cache can answer is only known once the query runs.
+function planStoreTables(store, tables, { pushdown, rowBudget, metafields = [] }) {
+  const apiVersion = store.apiVersion || API_VERSION;
+  const blocked = store.scopes ? unavailableTables(store.scopes) : [];
+  const bulkRuns = {};
   
-  const baseResource = sourceMap[resource] || resource;
-  const query = graphqlQueries[baseResource];
-  
-  if (!query) {
-    throw new Error(`Unknown table: ${resource}`);
-  }
-  
-  const url = `https://${storeName}/admin/api/2024-10/graphql.json`;
-  let allData = [];
-  let hasNextPage = true;
-  let cursor = null;
-  
-  // For non-paginated queries (shop, locations)
-  if (!query.includes('$first')) {
-    const response = await axios.post(url, { query }, {
-      headers: {
-        'X-Shopify-Access-Token': accessToken,
-        'Content-Type': 'application/json'
-      }
-    });
+  const fetches = tables.map(table => {
+    const resource = tableRegistry[table].source;
+    const query = withMetafields(sourceQuery(resource, apiVersion), metafields);
+    const search = pushdown[table]?.search || null;
+    const planned = { table, resource, search, missing_scope: blocked.find(u => u.table === table)?.scope || null };
     
-    if (response.data.errors) {
-      throw new Error(response.data.errors[0]?.message || 'GraphQL error');
+    if (!query.includes('$first')) {
+      const cost = estimateQueryCost(query);
+      return { ...planned, strategy: 'single', query, variables: {}, pages: 1, cost_per_page: cost, estimated_cost: cost };
+    }
+    if (rowBudget > BULK_ROW_THRESHOLD && sources[resource].bulk) {
+      // Tables of the same resource and search share one operation, as in fetchShopifyBulk
+      const runKey = `${resource}:${search || ''}`;
+      const shared = bulkRuns[runKey];
+      bulkRuns[runKey] = bulkRuns[runKey] || table;
+      return {
+        ...planned,
+        strategy: 'bulk',
+        query: toBulkQuery(query, search),
+        variables: {},
+        pages: null,
+        cost_per_page: null,
+        // The bulkOperationRunQuery mutation costs 10 points; polling its status costs 1 a time
+        estimated_cost: shared ? 0 : 10,
+        shares_operation_with: shared || null
+      };
     }
     
-    const key = Object.keys(response.data.data)[0];
-    const data = response.data.data[key];
-    return transformToTable(resource, data.nodes || [data]);
-  }
+    const variables = { first: Math.min(PAGE_SIZE, rowBudget), query: search };
+    const costPerPage = estimateQueryCost(query, variables);
+    const pages = Number.isFinite(rowBudget) ? Math.ceil(rowBudget / PAGE_SIZE) : null;
+    return { ...planned, strategy: 'paginated', query, variables, pages, cost_per_page: costPerPage, estimated_cost: pages && pages * costPerPage };
+  });
   
-  // Paginated queries
-  while (hasNextPage && allData.length < maxRecords) {
-    const variables = { first: Math.min(50, maxRecords - allData.length), after: cursor };
-    
-    const response = await axios.post(url, { query, variables }, {
-      headers: {
-        'X-Shopify-Access-Token': accessToken,
-        'Content-Type': 'application/json'
-      }
-    });
-    
-    if (response.data.errors) {
-      throw new Error(response.data.errors[0]?.message || 'GraphQL error');
+  const unknown = fetches.some(f => f.pages == null && f.strategy === 'paginated');
+  return {
+    storeName: store.storeName,
+    apiVersion,
+    fetches,
+    requests: unknown ? null : fetches.reduce((sum, f) => sum + (f.strategy === 'bulk' ? (f.shares_operation_with ? 0 : 1) : f.pages), 0),
+    estimated_cost: unknown ? null : fetches.reduce((sum, f) => sum + f.estimated_cost, 0)
+  };
+}
+
+// Combine one table's fetch metadata across stores
+function mergeTableMeta(metas) {
+  return {
+    strategy: metas[0].strategy,
+    fetched: metas.reduce((sum, m) => sum + (m.fetched || 0), 0),
+    complete: metas.every(m => m.complete),
+    truncated: metas.some(m => m.truncated),
+    pending: metas.some(m => m.pending),
+    cost: metas.reduce((sum, m) => sum + (m.cost || 0), 0),
+    // The oldest store's cache age stands for the table
+    cache: metas.map(m => m.cache).reduce((oldest, c) => (c && (!oldest || c.age_seconds > oldest.age_seconds) ? c : oldest), null)
+  };
+}
+
+function sumCosts(costs) {
+  const total = { requests: 0, requested_cost: 0, actual_cost: 0, retries: 0, throttled_ms: 0 };
+  for (const cost of costs) {
+    for (const key of Object.keys(total)) total[key] += cost[key] || 0;
+  }
+  return total;
+}
+
+// Rows for each snapshot('name') a query reads; only schedules of the given stores are visible
+async function loadSnapshotTables(names, storeNames) {
+  const tableData = {};
+  for (const name of names) {
+    const schedule = await schedules().getSchedule(name);
+    if (!schedule || !storeNames.includes(schedule.storeName)) {
+      throw new Error(`No scheduled query named ${name}`);
     }
-    
-    const key = Object.keys(response.data.data)[0];
-    const result = response.data.data[key];
-    allData = allData.concat(result.nodes || []);
-    hasNextPage = result.pageInfo?.hasNextPage && allData.length < maxRecords;
-    cursor = result.pageInfo?.endCursor;
+    tableData[`snapshot_${name}`] = snapshotRows(await schedules().listSnapshots(name));
   }
-  
-  return transformToTable(resource, allData);
+  return tableData;
 }
 
-// Detect which tables are needed from SQL query
-function detectTablesFromSQL(sql) {
-  const tables = [];
-  const normalizedSQL = sql.toLowerCase();
+// Run a saved schedule outside a request: against its sealed credentials, with no deadline and
+// fresh data rather than cached tables. The result set is kept as a new snapshot.
+async function runSchedule(schedule, now = new Date()) {
+  const store = openCredentials(schedule.credentials);
+  if (!store) throw new Error('Saved credentials expired or SESSION_SECRET changed; save the schedule again');
   
-  const availableTables = [
-    'orders', 'order_line_items',
-    'products', 'product_variants',
-    'customers',
-    'collections',
-    'inventory_items', 'inventory_levels',
-    'locations',
-    'shop'
-  ];
+  const { sql: query, names: snapshots } = snapshotTables(quoteReservedColumns(schedule.sql));
+  validateQuery(query);
+  const params = bindParameters(schedule.sql, schedule.params);
+  const metafields = requestedMetafields(query);
+  const tables = detectTablesFromSQL(query);
+  const fetchTables = [...new Set(tables.flatMap(table => tableRegistry[table].parts || [table]))];
   
-  for (const table of availableTables) {
-    const patterns = [
-      new RegExp(`\\bfrom\\s+${table}\\b`, 'i'),
-      new RegExp(`\\bjoin\\s+${table}\\b`, 'i'),
-      new RegExp(`\\b${table}\\.`, 'i'),
-      new RegExp(`"${table}"`, 'i')
-    ];
-    
-    if (patterns.some(p => p.test(normalizedSQL))) {
-      tables.push(table);
-    }
+  const { rows, meta } = await fetchStoreTables(store, fetchTables, {
+    pushdown: planPushdown(query, tables, params),
+    rowBudget: parseRowBudget(schedule.maxRows || 'all'),
+    deadline: Infinity,
+    metafields,
+    refresh: true
+  });
+  if (Object.values(meta).some(m => m.pending)) throw new Error('Fetching did not finish');
+  
+  const tableData = await loadSnapshotTables(snapshots, [store.storeName]);
+  for (const table of tables) {
+    tableData[table] = (tableRegistry[table].parts || [table]).flatMap(part => rows[part]);
   }
   
-  return [...new Set(tables)];
+  let results = runQuery(query, tableData, params, { timezones: await loadShopTimezones([store], query) });
+  if (!Array.isArray(results)) results = [results];
+  
+  const takenAt = now.toISOString();
+  await schedules().addSnapshot(schedule.name, { takenAt, rows: results });
+  await schedules().saveSchedule({ ...schedule, lastRunAt: takenAt, lastRowCount: results.length, lastError: null });
+  return results;
+}
+
+// IANA timezones by store name, read from the shop record once per process
+const shopTimezones = new Map();
+
+// The timezones the date functions read timestamps in, for queries that call one of them. A store
+// whose timezone can't be read is left to UTC rather than failing the query, and is asked again next time.
+// Across stores the first one's zone is the shared one; TO_SHOP_TZ(ts, store) reads each row's (see lib/functions.js).
+async function loadShopTimezones(stores, query) {
+  if (!usesShopTimezone(query)) return undefined;
+  const zones = {};
+  await Promise.all(stores.map(async store => {
+    if (!shopTimezones.has(store.storeName)) {
+      try {
+        const data = await shopifyGraphQL(graphqlUrl(store.storeName, store.apiVersion || API_VERSION), store.accessToken, {
+          query: 'query { shop { ianaTimezone } }'
+        });
+        shopTimezones.set(store.storeName, data.shop.ianaTimezone);
+      } catch (error) {
+        console.error(`Timezone lookup failed for ${store.storeName}:`, error.message);
+        return;
+      }
+    }
+    zones[store.storeName] = shopTimezones.get(store.storeName);
+  }));
+  return { zone: zones[stores[0].storeName], stores: zones };
+}
+
+// Strip resume-only fields before reporting table metadata to the client
+function publicTableMeta({ cursor, operationId, ...meta }) {
+  return meta;
 }
 
 module.exports = async (req, res) => {
@@ -753,8 +521,28 @@ module.exports = async (req, res) => {
   if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
   
   try {
-    const { sql, credentials, action } = req.body;
+    const { sql, params, credentials, action, maxRows, continuation, refresh, stores: storeSelection } = req.body;
     const cookies = parseCookies(req.headers.cookie);
+    const session = decodeSession(cookies.shopify_session);
+    
+    const storeSummary = store => ({
+      storeName: store.storeName,
+      apiVersion: store.apiVersion || API_VERSION,
+      missingScopes: store.scopes ? missingScopes(store.scopes) : [],
+      unavailableTables: store.scopes ? unavailableTables(store.scopes) : []
+    });
+    const workspaceResponse = nextSession => {
+      const active = activeStore(nextSession);
+      return {
+        ...(active ? storeSummary(active) : {}),
+        stores: sessionStores(nextSession).map(storeSummary)
+      };
+    };
+    
+    // Table registry and functions for the editor's autocomplete and docs; needs no session
+    if (action === 'schema') {
+      return res.status(200).json({ tables: describeTables(), functions: sqlFunctions(), defaultApiVersion: API_VERSION });
+    }
     
     // Handle connect action
     if (action === 'connect') {
@@ -764,93 +552,382 @@ module.exports = async (req, res) => {
       
       const storeName = cleanStoreName(credentials.storeName);
       const accessToken = credentials.apiPassword.trim();
+      // Each connection can pin its own Admin API version
+      const apiVersion = credentials.apiVersion?.trim() || API_VERSION;
+      if (!isValidApiVersion(apiVersion)) {
+        return res.status(400).json({ error: 'API versions look like 2025-01 (January, April, July or October releases) or unstable' });
+      }
       
+      let scopes;
       try {
-        const testQuery = `query { shop { name } }`;
-        await axios.post(`https://${storeName}/admin/api/2024-10/graphql.json`, 
-          { query: testQuery },
-          {
-            headers: { 
-              'X-Shopify-Access-Token': accessToken,
-              'Content-Type': 'application/json'
-            }
-          }
-        );
+        const testQuery = `query { shop { name } currentAppInstallation { accessScopes { handle } } }`;
+        const data = await shopifyGraphQL(graphqlUrl(storeName, apiVersion), accessToken, { query: testQuery });
+        scopes = data.currentAppInstallation?.accessScopes?.map(s => s.handle) || [];
       } catch (error) {
         if (error.response?.status === 401) {
           return res.status(401).json({ error: 'Invalid access token. Make sure it starts with shpat_' });
         }
         if (error.response?.status === 404) {
-          return res.status(404).json({ error: 'Store not found. Check your store URL.' });
+          return res.status(404).json({ error: `Store not found, or it doesn't serve API version ${apiVersion}. Check your store URL.` });
         }
         throw error;
       }
       
-      const sessionData = encodeSession({ storeName, accessToken });
-      const isProduction = process.env.NODE_ENV === 'production' || req.headers.host?.includes('vercel.app');
-      const cookieOptions = `Path=/; HttpOnly; SameSite=Lax; Max-Age=86400${isProduction ? '; Secure' : ''}`;
-      res.setHeader('Set-Cookie', `shopify_session=${sessionData}; ${cookieOptions}`);
+      // Connecting another store adds it to the workspace and makes it active.
+      // Expiry is enforced from the encrypted payload; Max-Age just lets the browser drop it too.
+      const nextSession = addStore(session, { storeName, accessToken, scopes, apiVersion });
+      try {
+        res.setHeader('Set-Cookie', serializeCookie('shopify_session', encodeSession(nextSession), req));
+      } catch (cookieError) {
+        return res.status(400).json({ error: cookieError.message });
+      }
       
-      return res.status(200).json({ success: true, storeName });
+      // Which source queries the version can't serve (or serves deprecated fields for)
+      const compatibility = await checkCompatibility({ storeName, accessToken }, apiVersion);
+      return res.status(200).json({ success: true, ...workspaceResponse(nextSession), compatibility });
     }
     
-    // Handle disconnect action
+    // Handle disconnect action: one store when storeName is given, otherwise all of them
     if (action === 'disconnect') {
-      res.setHeader('Set-Cookie', 'shopify_session=; Path=/; HttpOnly; Max-Age=0');
-      return res.status(200).json({ success: true });
+      const nextSession = req.body.storeName ? removeStore(session, req.body.storeName) : null;
+      if (sessionStores(nextSession).length === 0) {
+        res.setHeader('Set-Cookie', CLEAR_SESSION_COOKIE);
+        return res.status(200).json({ success: true, stores: [] });
+      }
+      res.setHeader('Set-Cookie', serializeCookie('shopify_session', encodeSession(nextSession), req));
+      return res.status(200).json({ success: true, ...workspaceResponse(nextSession) });
+    }
+    
+    // Handle switching the active store
+    if (action === 'switchStore') {
+      if (!sessionStores(session).some(s => s.storeName === req.body.storeName)) {
+        return res.status(404).json({ error: 'Store is not connected' });
+      }
+      const nextSession = { stores: sessionStores(session), active: req.body.storeName };
+      res.setHeader('Set-Cookie', serializeCookie('shopify_session', encodeSession(nextSession), req));
+      return res.status(200).json({ success: true, ...workspaceResponse(nextSession) });
     }
     
     // Handle check session action
     if (action === 'checkSession') {
-      const session = decodeSession(cookies.shopify_session);
-      if (session?.storeName && session?.accessToken) {
-        return res.status(200).json({ connected: true, storeName: session.storeName });
+      if (activeStore(session)) {
+        return res.status(200).json({ connected: true, ...workspaceResponse(session) });
       }
+      if (cookies.shopify_session) res.setHeader('Set-Cookie', CLEAR_SESSION_COOKIE);
       return res.status(200).json({ connected: false });
     }
     
-    // Handle SQL query
+    // Re-run the schema check for the active store's API version
+    if (action === 'checkSchema') {
+      const store = activeStore(session);
+      if (!store) return res.status(401).json({ error: 'Not connected. Please connect your store first.' });
+      return res.status(200).json({ compatibility: await checkCompatibility(store, store.apiVersion || API_VERSION) });
+    }
+    
+    // Scheduled queries run against the store that was active when they were saved;
+    // scripts/run-schedules.js executes them and keeps each result as a snapshot
+    if (action === 'saveSchedule') {
+      const store = activeStore(session);
+      if (!store) return res.status(401).json({ error: 'Not connected. Please connect your store first.' });
+      
+      const { name, sql: scheduleSql, cron, maxRows: scheduleRows, params: scheduleParams } = req.body.schedule || {};
+      let boundParams;
+      try {
+        validateSchedule({ name, sql: scheduleSql, cron });
+        validateQuery(snapshotTables(quoteReservedColumns(scheduleSql)).sql);
+        // Parameterized queries run with the values they were scheduled with
+        boundParams = bindParameters(scheduleSql, scheduleParams);
+      } catch (scheduleError) {
+        return res.status(400).json({ error: scheduleError.message });
+      }
+      
+      const existing = await schedules().getSchedule(name);
+      if (existing && !sessionStores(session).some(s => s.storeName === existing.storeName)) {
+        return res.status(409).json({ error: `A scheduled query named ${name} already exists` });
+      }
+      
+      const schedule = {
+        name,
+        sql: scheduleSql,
+        cron: cron.trim(),
+        maxRows: scheduleRows || 'all',
+        params: boundParams,
+        storeName: store.storeName,
+        credentials: sealCredentials(store),
+        createdAt: existing?.createdAt || new Date().toISOString(),
+        lastRunAt: existing?.lastRunAt || null,
+        lastRowCount: existing?.lastRowCount ?? null,
+        lastError: null
+      };
+      await schedules().saveSchedule(schedule);
+      return res.status(200).json({ success: true, schedule: publicSchedule(schedule) });
+    }
+    
+    if (action === 'listSchedules' || action === 'deleteSchedule') {
+      const storeNames = sessionStores(session).map(s => s.storeName);
+      if (storeNames.length === 0) return res.status(401).json({ error: 'Not connected. Please connect your store first.' });
+      
+      if (action === 'deleteSchedule') {
+        const schedule = await schedules().getSchedule(req.body.name);
+        if (!schedule || !storeNames.includes(schedule.storeName)) {
+          return res.status(404).json({ error: 'Scheduled query not found' });
+        }
+        await schedules().deleteSchedule(schedule.name);
+      }
+      
+      const visible = (await schedules().listSchedules()).filter(s => storeNames.includes(s.storeName));
+      return res.status(200).json({ schedules: visible.map(publicSchedule) });
+    }
+    
+    // API keys for /api/v1/query, each bound to the store that was active when it was created
+    if (action === 'createApiKey') {
+      const store = activeStore(session);
+      if (!store) return res.status(401).json({ error: 'Not connected. Please connect your store first.' });
+      
+      const { name, tables: keyTables } = req.body.key || {};
+      let allowedTables;
+      try {
+        if (typeof name !== 'string' || !name.trim() || name.length > 100) throw new Error('API keys need a name');
+        allowedTables = validateKeyTables(keyTables, publicTables());
+      } catch (keyError) {
+        return res.status(400).json({ error: keyError.message });
+      }
+      
+      const { key, ...generated } = generateApiKey();
+      const record = {
+        ...generated,
+        name: name.trim(),
+        storeName: store.storeName,
+        credentials: sealCredentials(store),
+        tables: allowedTables,
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null,
+        revokedAt: null
+      };
+      await apiKeys().saveKey(record);
+      // The only time the key itself is returned
+      return res.status(200).json({ success: true, key, apiKey: publicApiKey(record) });
+    }
+    
+    if (action === 'listApiKeys' || action === 'revokeApiKey') {
+      const storeNames = sessionStores(session).map(s => s.storeName);
+      if (storeNames.length === 0) return res.status(401).json({ error: 'Not connected. Please connect your store first.' });
+      
+      const visible = (await apiKeys().listKeys()).filter(k => storeNames.includes(k.storeName));
+      if (action === 'revokeApiKey') {
+        const record = visible.find(k => k.id === req.body.id);
+        if (!record) return res.status(404).json({ error: 'API key not found' });
+        if (!record.revokedAt) {
+          record.revokedAt = new Date().toISOString();
+          await apiKeys().saveKey(record);
+        }
+      }
+      
+      visible.sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+      return res.status(200).json({ apiKeys: visible.map(publicApiKey) });
+    }
+    
+    // Optional server-side copy of the saved-query library, per store (QUERY_LIBRARY=fs)
+    if (action === 'listQueries' || action === 'saveQuery' || action === 'deleteQuery') {
+      const store = activeStore(session);
+      if (!store) return res.status(401).json({ error: 'Not connected. Please connect your store first.' });
+      if (!queryLibrary) {
+        if (action === 'listQueries') return res.status(200).json({ enabled: false, queries: [] });
+        return res.status(404).json({ error: 'The server-side query library is off' });
+      }
+      
+      if (action === 'saveQuery') {
+        try {
+          await queryLibrary.save(store.storeName, req.body.query);
+        } catch (libraryError) {
+          return res.status(400).json({ error: libraryError.message });
+        }
+      }
+      if (action === 'deleteQuery') await queryLibrary.delete(store.storeName, req.body.id);
+      
+      return res.status(200).json({ enabled: true, queries: await queryLibrary.list(store.storeName) });
+    }
+    
+    // Handle SQL query. action 'export' runs it to completion and streams the result as a file
+    // (csv, xlsx, jsonl or parquet) instead of returning JSON
     if (!sql) return res.status(400).json({ error: 'Missing SQL query' });
+    // EXPLAIN <query> returns the plan instead of running it, without a request to Shopify
+    const explained = explainStatement(sql);
+    const statement = explained ?? sql;
+    const exporting = action === 'export' && !explained;
+    if (exporting && !Object.hasOwn(EXPORT_FORMATS, req.body.format)) {
+      return res.status(400).json({ error: `Unknown export format. Available: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+    const requestStarted = Date.now();
     
-    let storeName, accessToken;
-    const session = decodeSession(cookies.shopify_session);
-    if (session?.storeName && session?.accessToken) {
-      storeName = session.storeName;
-      accessToken = session.accessToken;
-    } else if (credentials?.storeName && credentials?.apiPassword) {
-      storeName = cleanStoreName(credentials.storeName);
-      accessToken = credentials.apiPassword.trim();
-    } else {
+    let query;
+    let metafields;
+    let snapshots;
+    let boundParams;
+    const quoteEdits = [];
+    const snapshotEdits = [];
+    try {
+      // `store` and `value` are alasql keywords, but the store and metafields columns use them;
+      // snapshot('name') reads the saved results of a scheduled query
+      ({ sql: query, names: snapshots } = snapshotTables(quoteReservedColumns(statement, quoteEdits), snapshotEdits));
+      validateQuery(query);
+      metafields = requestedMetafields(query);
+      // :name parameters are bound by alasql, never spliced into the SQL text
+      boundParams = bindParameters(statement, params);
+    } catch (sqlError) {
+      // Parse errors are placed and quoted in the SQL as the editor has it; EXPLAIN is blanked out, not removed
+      const parseError = query && sourceParseError(query, sqlError.message, sql,
+        offset => sourceOffset(sourceOffset(offset, snapshotEdits), quoteEdits));
+      return res.status(400).json({
+        error: `SQL Error: ${parseError ? parseError.message : sqlError.message}`,
+        errorLocation: parseError ? parseError.location : null
+      });
+    }
+    
+    if (cookies.shopify_session && !session) {
+      // Tampered, forged or expired cookie
+      res.setHeader('Set-Cookie', CLEAR_SESSION_COOKIE);
+      return res.status(401).json({ error: 'Session expired. Please reconnect.' });
+    }
+    
+    let connectedStores = sessionStores(session);
+    if (connectedStores.length === 0 && credentials?.storeName && credentials?.apiPassword) {
+      connectedStores = [{
+        storeName: cleanStoreName(credentials.storeName),
+        accessToken: credentials.apiPassword.trim(),
+        apiVersion: isValidApiVersion(credentials.apiVersion) ? credentials.apiVersion : API_VERSION
+      }];
+    }
+    if (connectedStores.length === 0) {
       return res.status(401).json({ error: 'Not connected. Please connect your store first.' });
     }
     
-    const tables = detectTablesFromSQL(sql);
+    const tables = detectTablesFromSQL(query);
     
-    if (tables.length === 0) {
+    if (tables.length === 0 && snapshots.length === 0) {
       return res.status(400).json({ 
-        error: 'No valid table found. Available: orders, order_line_items, products, product_variants, customers, collections, inventory_items, inventory_levels, locations, shop'
+        error: `No valid table found. Available: ${publicTables().join(', ')}`
+      });
+    }
+    
+    // Tables made of parts (metafields) are fetched part by part and unioned below
+    const fetchTables = [...new Set(tables.flatMap(table => tableRegistry[table].parts || [table]))];
+    
+    // Resuming: the token carries each store's table cursors and the handle of the rows staged so far
+    let resume = null;
+    let staged = {};
+    if (continuation && !exporting) {
+      resume = decodeSession(continuation);
+      staged = resume?.staged ? await continuations.read(resume.staged) : null;
+      if (!resume?.stores || resume.sql !== sql || !staged) {
+        return res.status(400).json({ error: 'Invalid or stale continuation token. Run the query again.' });
+      }
+    }
+    
+    // Cross-store mode ('all', a store domain or a list of them) unions rows and adds a `store` column
+    const selection = typeof storeSelection === 'string' && storeSelection !== 'all' ? [storeSelection] : storeSelection;
+    if (!resume && selection != null && selection !== 'all' &&
+        !(Array.isArray(selection) && selection.length > 0 && selection.every(name => typeof name === 'string'))) {
+      return res.status(400).json({ error: "stores must be 'all', a connected store domain or a list of them" });
+    }
+    const crossStore = resume ? resume.crossStore : selection != null;
+    let targets;
+    if (resume) {
+      targets = Object.keys(resume.stores).map(name => connectedStores.find(s => s.storeName === name));
+    } else if (selection === 'all') {
+      targets = connectedStores;
+    } else if (selection) {
+      targets = [...new Set(selection.map(cleanStoreName))].map(name => connectedStores.find(s => s.storeName === name));
+    } else {
+      targets = [activeStore(session) || connectedStores[0]];
+    }
+    if (targets.length === 0 || targets.some(t => !t)) {
+      return res.status(400).json({ error: 'Query references a store that is not connected' });
+    }
+    
+    const pushdown = planPushdown(query, tables, boundParams);
+    const rowBudget = parseRowBudget(resume ? resume.maxRows : maxRows);
+    
+    if (explained) {
+      return res.status(200).json({
+        plan: {
+          sql: query.trim(),
+          max_rows: Number.isFinite(rowBudget) ? rowBudget : 'all',
+          stores: targets.map(store => planStoreTables(store, fetchTables, { pushdown, rowBudget, metafields })),
+          snapshots,
+          pushdown,
+          memory: memoryPlan(query, pushdown)
+        }
+      });
+    }
+    // Exports can't hand back a continuation, so they wait for every table to finish loading
+    const deadline = exporting ? Infinity : Date.now() + QUERY_TIME_BUDGET_MS;
+    
+    // Stores are fetched in parallel; each has its own cost bucket
+    const fetchStarted = Date.now();
+    const settled = await Promise.allSettled(targets.map(store => fetchStoreTables(store, fetchTables, {
+      pushdown,
+      rowBudget,
+      deadline,
+      metafields,
+      refresh: refresh === true,
+      resumeTables: resume?.stores[store.storeName]?.tables
+    })));
+    
+    const fetchedStores = [];
+    const storeErrors = {};
+    settled.forEach((outcome, i) => {
+      if (outcome.status === 'fulfilled') {
+        fetchedStores.push({ storeName: targets[i].storeName, ...outcome.value });
+      } else {
+        storeErrors[targets[i].storeName] = outcome.reason;
+      }
+    });
+    
+    if (!crossStore && fetchedStores.length === 0) {
+      const error = Object.values(storeErrors)[0];
+      if (error.status === 403) return res.status(403).json({ error: error.message });
+      throw error;
+    }
+    if (fetchedStores.length === 0) {
+      return res.status(502).json({
+        error: 'Every store failed to load',
+        storeErrors: Object.fromEntries(Object.entries(storeErrors).map(([name, e]) => [name, e.message]))
       });
     }
     
     const tableData = {};
+    const tableMeta = {};
     for (const table of tables) {
-      try {
-        tableData[table] = await fetchShopifyData(storeName, accessToken, table);
-      } catch (error) {
-        console.error(`Error fetching ${table}:`, error.message);
-        throw new Error(`Failed to fetch ${table}: ${error.message}`);
-      }
+      const parts = tableRegistry[table].parts || [table];
+      const stagedRows = staged[table] || [];
+      const fetchedRows = fetchedStores.flatMap(({ storeName, rows }) => parts.flatMap(part =>
+        crossStore ? rows[part].map(row => ({ store: storeName, ...row })) : rows[part]
+      ));
+      tableData[table] = stagedRows.concat(fetchedRows);
+      tableMeta[table] = {
+        rows: tableData[table].length,
+        ...mergeTableMeta(fetchedStores.flatMap(({ meta }) => parts.map(part => meta[part]))),
+        // Parts load one after another within a store, stores in parallel: the slowest store's total stands for the table
+        fetch_ms: Math.max(...fetchedStores.map(({ meta }) => parts.reduce((sum, part) => sum + (meta[part].fetch_ms || 0), 0)))
+      };
     }
     
-    for (const [tableName, data] of Object.entries(tableData)) {
-      alasql(`DROP TABLE IF EXISTS ${tableName}`);
-      alasql(`CREATE TABLE ${tableName}`);
-      alasql.tables[tableName].data = data;
+    // Snapshots are read fresh on every request, so they're kept out of the staged rows
+    let snapshotData;
+    try {
+      snapshotData = await loadSnapshotTables(snapshots, connectedStores.map(s => s.storeName));
+    } catch (snapshotError) {
+      return res.status(400).json({ error: snapshotError.message });
     }
     
+    const timezones = await loadShopTimezones(targets, query);
+    const fetchMs = Date.now() - fetchStarted;
+    
     let results;
+    const sqlStarted = Date.now();
     try {
-      results = alasql(sql);
+      results = runQuery(query, { ...tableData, ...snapshotData }, boundParams, { timezones });
     } catch (sqlError) {
       let errorMsg = sqlError.message;
       if (errorMsg.includes('not found')) {
@@ -863,16 +940,67 @@ module.exports = async (req, res) => {
       results = [results];
     }
     
-    res.status(200).json({ results, count: results.length });
+    if (exporting) return await streamExport(res, req.body.format, results, req.body.filename);
+    
+    // Tables stopped by the deadline (not by the row budget) or waiting on a bulk operation can be resumed
+    const pending = Object.values(tableMeta).some(m => m.pending);
+    const response = {
+      results,
+      count: results.length,
+      pushdown,
+      cost: crossStore ? sumCosts(fetchedStores.map(s => s.cost)) : fetchedStores[0].cost,
+      tables: tableMeta,
+      truncated: Object.values(tableMeta).some(m => !m.complete),
+      // Where this request's time went: loading tables from Shopify (or the cache) vs. evaluating the SQL
+      timings: { fetch_ms: fetchMs, sql_ms: Date.now() - sqlStarted, total_ms: Date.now() - requestStarted }
+    };
+    
+    if (crossStore) {
+      response.stores = Object.fromEntries([
+        ...fetchedStores.map(({ storeName, meta, cost }) => [storeName, {
+          tables: Object.fromEntries(Object.entries(meta).map(([t, m]) => [t, publicTableMeta(m)])),
+          cost
+        }]),
+        ...Object.entries(storeErrors).map(([storeName, error]) => [storeName, { error: error.message }])
+      ]);
+    }
+    
+    // Each step stages under a new handle, so replaying an old token can't append the same rows twice
+    if (resume) await continuations.discard(resume.staged);
+    if (pending) {
+      const handle = await continuations.stage(tableData);
+      // Stores that failed are dropped from the resume; their error was reported on this response
+      response.continuation = encodeSession({
+        sql,
+        maxRows: rowBudget === Infinity ? 'all' : rowBudget,
+        crossStore,
+        staged: handle,
+        stores: Object.fromEntries(fetchedStores.map(({ storeName, meta }) => [storeName, {
+          tables: Object.fromEntries(Object.entries(meta).map(([t, { cost, ...state }]) => [t, state]))
+        }]))
+      }, CONTINUATION_TTL_SECONDS);
+    }
+    
+    res.status(200).json(response);
     
   } catch (error) {
     console.error('Query error:', error.response?.data || error.message);
     
+    // A failed export stream can only be cut off; the client sees an incomplete download
+    if (res.headersSent) return res.destroy(error);
+    
     if (error.response?.status === 401) {
-      res.setHeader('Set-Cookie', 'shopify_session=; Path=/; HttpOnly; Max-Age=0');
+      res.setHeader('Set-Cookie', CLEAR_SESSION_COOKIE);
       return res.status(401).json({ error: 'Session expired. Please reconnect.' });
     }
     
     res.status(500).json({ error: error.message });
   }
 };
+
+// For scripts/run-schedules.js
+module.exports.runSchedule = runSchedule;
+module.exports.schedules = schedules;
+// For api/v1/query.js
+module.exports.apiKeys = apiKeys;
+module.exports.detectTablesFromSQL = detectTablesFromSQL;
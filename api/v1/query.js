@@ -0,0 +1,83 @@
+const query = require('../query');
+const { bearerKey, hashKey } = require('../../lib/apikeys');
+const { openCredentials } = require('../../lib/session');
+const { quoteReservedColumns } = require('../../lib/sandbox');
+const { snapshotTables } = require('../../lib/schedules');
+const { explainStatement } = require('../../lib/plan');
+const { requestedMetafields } = require('../../lib/metafields');
+
+// Headless queries for scripts and BI tools, authenticated with an API key instead of the session cookie.
+//
+//   POST /api/v1/query
+//   Authorization: Bearer sqk_...
+//   { "sql": "SELECT ...", "params": { "name": value }, "format": "json", "maxRows": "all", "refresh": false }
+//
+// format is json (an array of row objects, the default), csv, jsonl, xlsx or parquet. The query runs to
+// completion against the key's store and the result is streamed back; maxRows defaults to 'all'.
+// "EXPLAIN SELECT ..." returns the query plan as JSON { plan } whatever the format.
+// Errors are JSON { error } with 400 (bad SQL or parameters), 401 (missing, revoked or expired key)
+// or 403 (a table outside the key's scope; mf_ columns need the metafields table in scope).
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    const key = bearerKey(req.headers.authorization);
+    if (!key) return res.status(401).json({ error: 'Missing API key. Send Authorization: Bearer <key>' });
+
+    const apiKey = await query.apiKeys().findKey(hashKey(key));
+    if (!apiKey || apiKey.revokedAt) return res.status(401).json({ error: 'Invalid or revoked API key' });
+    const store = openCredentials(apiKey.credentials);
+    if (!store) return res.status(401).json({ error: 'API key expired or SESSION_SECRET changed; create a new key' });
+
+    const { sql, params, format = 'json', maxRows = 'all', refresh } = req.body || {};
+    if (!sql || typeof sql !== 'string') return res.status(400).json({ error: 'Missing SQL query' });
+
+    // Scoped keys may only read their tables; snapshots can hold any table's rows, so they need an unscoped key.
+    // mf_ columns read metafields through another table, so they need the metafields table in scope too.
+    if (apiKey.tables) {
+      let rewritten;
+      let tables;
+      let metafields;
+      try {
+        rewritten = snapshotTables(quoteReservedColumns(explainStatement(sql) ?? sql));
+        tables = query.detectTablesFromSQL(rewritten.sql);
+        metafields = requestedMetafields(rewritten.sql);
+      } catch (sqlError) {
+        return res.status(400).json({ error: `SQL Error: ${sqlError.message}` });
+      }
+      const denied = tables.filter(t => !apiKey.tables.includes(t));
+      if (metafields.length > 0 && !apiKey.tables.includes('metafields') && !denied.includes('metafields')) {
+        denied.push(`metafields (${metafields.map(m => m.column).join(', ')})`);
+      }
+      denied.push(...rewritten.names.map(name => `snapshot('${name}')`));
+      if (denied.length > 0) {
+        return res.status(403).json({ error: `This API key can't read ${denied.join(', ')}. Allowed tables: ${apiKey.tables.join(', ')}` });
+      }
+    }
+
+    await query.apiKeys().saveKey({ ...apiKey, lastUsedAt: new Date().toISOString() });
+
+    // The browser pipeline runs the query, with the key's store passed as credentials and no session cookie
+    return await query({
+      method: 'POST',
+      headers: { ...req.headers, cookie: undefined },
+      body: {
+        action: 'export',
+        format,
+        sql,
+        params,
+        maxRows,
+        refresh: refresh === true,
+        credentials: { storeName: store.storeName, apiPassword: store.accessToken, apiVersion: store.apiVersion }
+      }
+    }, res);
+  } catch (error) {
+    console.error('API query error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+};
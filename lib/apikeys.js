@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const { fileDocuments, sqliteDocuments } = require('./documents');
+
+// API keys let scripts and BI tools query without a browser session. A key record is
+// { id, name, prefix, hash, storeName, credentials, tables, createdAt, lastUsedAt, revokedAt }:
+// only the SHA-256 of the key is kept, `credentials` is the store's token sealed like a session cookie,
+// and `tables` lists the tables the key may read (null for all). Revoked keys are kept for the record.
+
+const KEY_PREFIX = 'sqk_';
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Returns the key itself (shown once) and the record to store
+function generateApiKey() {
+  const key = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+  return { key, id: crypto.randomBytes(8).toString('hex'), prefix: key.slice(0, KEY_PREFIX.length + 6), hash: hashKey(key) };
+}
+
+// The bearer token from an Authorization header, if it looks like one of ours
+function bearerKey(header) {
+  const match = String(header || '').match(/^Bearer\s+(\S+)$/i);
+  return match && match[1].startsWith(KEY_PREFIX) ? match[1] : null;
+}
+
+function validateKeyTables(tables, knownTables) {
+  if (tables == null) return null;
+  if (!Array.isArray(tables) || tables.length === 0) throw new Error('Key tables must be a non-empty list, or omitted for all tables');
+  const unknown = tables.filter(t => !knownTables.includes(t));
+  if (unknown.length > 0) throw new Error(`Unknown tables: ${unknown.join(', ')}`);
+  return [...new Set(tables)];
+}
+
+// What the client may see: no hash, no sealed credentials
+function publicApiKey({ hash, credentials, ...key }) {
+  return key;
+}
+
+// Records are documents keyed by hash (lib/documents.js), so a lookup by key is one read
+function apiKeyStore(records) {
+  return {
+    async listKeys() {
+      return records.list();
+    },
+    async findKey(hash) {
+      return /^[0-9a-f]{64}$/.test(hash) ? records.get(hash) : null;
+    },
+    async saveKey(record) {
+      await records.set(record.hash, record);
+    }
+  };
+}
+
+// API_KEY_STORE picks the backend: fs (default) or sqlite; API_KEY_STORE_PATH overrides where it writes
+function createApiKeyStore(backend = process.env.API_KEY_STORE || 'fs') {
+  const location = process.env.API_KEY_STORE_PATH;
+  switch (backend) {
+    case 'fs':
+      return apiKeyStore(fileDocuments(location || path.join(os.homedir(), '.shopify-sql', 'api-keys')));
+    case 'sqlite':
+      return apiKeyStore(sqliteDocuments(location || path.join(os.homedir(), '.shopify-sql', 'api-keys.db'), 'api_keys', 'API_KEY_STORE'));
+    default:
+      throw new Error(`Unknown API_KEY_STORE backend: ${backend}`);
+  }
+}
+
+module.exports = { generateApiKey, hashKey, bearerKey, validateKeyTables, publicApiKey, createApiKeyStore };
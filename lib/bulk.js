@@ -0,0 +1,155 @@
+const axios = require('axios');
+const { shopifyGraphQL, sleep } = require('./shopify');
+
+const POLL_INTERVAL_MS = 2000;
+
+// JSONL child lines only carry __parentId, so nested connections are identified by their node type
+const connectionFieldsByType = {
+  LineItem: 'lineItems',
+  ProductVariant: 'variants',
+  Image: 'images',
+  Collection: 'collections',
+  InventoryLevel: 'inventoryLevels',
+  Metafield: 'metafields',
+  DiscountCodeApplication: 'discountApplications',
+  AutomaticDiscountApplication: 'discountApplications',
+  ManualDiscountApplication: 'discountApplications',
+  ScriptDiscountApplication: 'discountApplications'
+};
+
+const runMutation = `
+  mutation($query: String!) {
+    bulkOperationRunQuery(query: $query) {
+      bulkOperation { id status }
+      userErrors { field message }
+    }
+  }
+`;
+
+const operationFields = 'id status errorCode objectCount url partialDataUrl';
+
+const currentOperationQuery = `
+  query {
+    currentBulkOperation { ${operationFields} }
+  }
+`;
+
+// An operation we started may no longer be the current one once a later table's run begins
+const operationByIdQuery = `
+  query($id: ID!) {
+    node(id: $id) { ... on BulkOperation { ${operationFields} } }
+  }
+`;
+
+async function fetchOperation(url, accessToken, operationId, throttle) {
+  const { currentBulkOperation } = await shopifyGraphQL(url, accessToken, { query: currentOperationQuery }, { throttle });
+  if (currentBulkOperation?.id === operationId) return currentBulkOperation;
+  const { node } = await shopifyGraphQL(url, accessToken, { query: operationByIdQuery, variables: { id: operationId } }, { throttle });
+  return node?.id ? node : null;
+}
+
+// Index of the brace that closes the block opened at `openIndex`
+function matchingBrace(text, openIndex) {
+  let depth = 0;
+  for (let i = openIndex; i < text.length; i++) {
+    if (text[i] === '{') depth++;
+    else if (text[i] === '}' && --depth === 0) return i;
+  }
+  throw new Error('Unbalanced braces in GraphQL query');
+}
+
+// Rewrite a paginated `nodes { ... }` query into the bulk form: no variables, no pageInfo or
+// `first:` limits or comments, and `edges { node { ... } }` connections tagged with __typename below the root.
+function toBulkQuery(query, search) {
+  let text = query
+    .replace(/#[^\n]*/g, '')
+    .replace(/query\s*\([^)]*\)\s*\{/, '{')
+    .replace(/\(first: \$first, after: \$after, query: \$query\)/, search ? `(query: ${JSON.stringify(search)})` : '')
+    .replace(/pageInfo\s*\{[^}]*\}/g, '')
+    .replace(/\(first:\s*\d+\)/g, '');
+
+  let depth = 0;
+  let index = text.search(/\bnodes\s*\{/);
+  while (index !== -1) {
+    const open = text.indexOf('{', index);
+    const close = matchingBrace(text, open);
+    const body = text.slice(open + 1, close);
+    const tagged = depth === 0 ? body : ` __typename ${body}`;
+    text = `${text.slice(0, index)}edges { node {${tagged}} }${text.slice(close + 1)}`;
+    depth++;
+    const next = text.slice(index + 'edges { node {'.length).search(/\bnodes\s*\{/);
+    index = next === -1 ? -1 : index + 'edges { node {'.length + next;
+  }
+
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+// Rebuild parent/child nesting from JSONL lines into the `{ nodes: [...] }` shape transformToTable expects
+function parseBulkJsonl(text) {
+  const roots = [];
+  const byId = new Map();
+
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    const record = JSON.parse(line);
+    const parentId = record.__parentId;
+
+    if (parentId) {
+      const parent = byId.get(parentId);
+      const field = connectionFieldsByType[record.__typename];
+      if (!parent || !field) {
+        throw new Error(`Unexpected bulk result line for ${record.__typename || 'unknown type'}`);
+      }
+      // __typename stays on the record: some tables read it (discount application type)
+      delete record.__parentId;
+      parent[field] = parent[field] || { nodes: [] };
+      parent[field].nodes.push(record);
+    } else {
+      roots.push(record);
+    }
+
+    if (record.id) byId.set(record.id, record);
+  }
+
+  return roots;
+}
+
+async function startBulkOperation(url, accessToken, bulkQuery, { throttle } = {}) {
+  const data = await shopifyGraphQL(url, accessToken, { query: runMutation, variables: { query: bulkQuery } }, { throttle });
+  const { bulkOperation, userErrors } = data.bulkOperationRunQuery;
+  if (userErrors?.length) {
+    throw new Error(`Bulk operation rejected: ${userErrors.map(e => e.message).join('; ')}`);
+  }
+  return bulkOperation.id;
+}
+
+// Poll until the operation finishes or the deadline passes; returns null while still running
+async function pollBulkOperation(url, accessToken, operationId, { deadline = Infinity, throttle } = {}) {
+  while (true) {
+    const op = await fetchOperation(url, accessToken, operationId, throttle);
+
+    if (!op) throw new Error(`Bulk operation ${operationId} not found`);
+    if (op.status === 'COMPLETED') return op;
+    if (['FAILED', 'CANCELED', 'CANCELING', 'EXPIRED'].includes(op.status)) {
+      throw new Error(`Bulk operation ${op.status.toLowerCase()}${op.errorCode ? `: ${op.errorCode}` : ''}`);
+    }
+    if (Date.now() + POLL_INTERVAL_MS >= deadline) return null;
+    await sleep(POLL_INTERVAL_MS);
+  }
+}
+
+async function downloadBulkResult(operation) {
+  // Operations that matched nothing complete without a result file
+  if (!operation.url) return [];
+  const response = await axios.get(operation.url, { responseType: 'text', transformResponse: data => data });
+  return parseBulkJsonl(response.data);
+}
+
+module.exports = {
+  matchingBrace,
+  toBulkQuery,
+  parseBulkJsonl,
+  startBulkOperation,
+  pollBulkOperation,
+  downloadBulkResult
+};
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const { fileDocuments, sqliteDocuments } = require('./documents');
+
+const CACHE_TTL_SECONDS = parseInt(process.env.TABLE_CACHE_TTL_SECONDS, 10) || 300;
+// Incremental refreshes never see deleted records, so an entry is refetched in full once it's this old
+const CACHE_MAX_AGE_SECONDS = parseInt(process.env.TABLE_CACHE_MAX_AGE_SECONDS, 10) || 86400;
+const MAX_MEMORY_ENTRIES = parseInt(process.env.TABLE_CACHE_MAX_ENTRIES, 10) || 100;
+
+// Entries hold a resource's raw GraphQL nodes: { nodes, complete, search, watermark, fetchedAt, syncedAt }.
+// fetchedAt is when the nodes were last fetched in full, syncedAt when they were last brought up to date.
+// Backends all expose async get / set / delete.
+
+// Warm serverless instances keep module state, so entries survive between requests on one instance
+function memoryBackend(maxEntries = MAX_MEMORY_ENTRIES) {
+  const entries = new Map();
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      // Re-insert so the least recently used entry is evicted first
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+    async delete(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+// TABLE_CACHE picks the backend: memory (default), fs, sqlite, or off; TABLE_CACHE_PATH overrides where fs/sqlite write
+function createTableCache(backend = process.env.TABLE_CACHE || 'memory') {
+  const location = process.env.TABLE_CACHE_PATH;
+  switch (backend) {
+    case 'off':
+      return null;
+    case 'memory':
+      return memoryBackend();
+    // fs writes one JSON file per entry, for local development
+    case 'fs':
+      return fileDocuments(location || path.join(os.tmpdir(), 'shopify-sql-cache'));
+    case 'sqlite':
+      return sqliteDocuments(location || path.join(os.tmpdir(), 'shopify-sql-cache.db'), 'table_cache', 'TABLE_CACHE');
+    default:
+      throw new Error(`Unknown TABLE_CACHE backend: ${backend}`);
+  }
+}
+
+// The token is fingerprinted into the key so a session only ever reads what its own token fetched
+function cacheKey({ storeName, accessToken }, resource, apiVersion, search) {
+  const token = crypto.createHash('sha256').update(accessToken).digest('hex').slice(0, 16);
+  return [storeName, resource, apiVersion, token, search || ''].join('|');
+}
+
+function isFresh(entry, ttlSeconds = CACHE_TTL_SECONDS) {
+  return Date.now() - entry.syncedAt < ttlSeconds * 1000;
+}
+
+// Too old to bring up to date incrementally
+function isExpired(entry, maxAgeSeconds = CACHE_MAX_AGE_SECONDS) {
+  return Date.now() - (entry.fetchedAt ?? entry.syncedAt) >= maxAgeSeconds * 1000;
+}
+
+function cacheAge(entry) {
+  return Math.floor((Date.now() - entry.syncedAt) / 1000);
+}
+
+// Latest updatedAt across the nodes; the next incremental refresh starts from here
+function latestUpdate(nodes) {
+  return nodes.reduce((latest, n) => (n.updatedAt && (!latest || n.updatedAt > latest) ? n.updatedAt : latest), null);
+}
+
+// Replace changed records in place and append new ones
+function mergeById(nodes, updates) {
+  const merged = nodes.slice();
+  const index = new Map(merged.map((n, i) => [n.id, i]));
+  for (const node of updates) {
+    if (index.has(node.id)) {
+      merged[index.get(node.id)] = node;
+    } else {
+      index.set(node.id, merged.length);
+      merged.push(node);
+    }
+  }
+  return merged;
+}
+
+module.exports = {
+  CACHE_TTL_SECONDS,
+  CACHE_MAX_AGE_SECONDS,
+  createTableCache,
+  cacheKey,
+  isFresh,
+  isExpired,
+  cacheAge,
+  latestUpdate,
+  mergeById
+};
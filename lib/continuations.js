@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const { fileDocuments, sqliteDocuments } = require('./documents');
+
+// Continuation tokens expire after this long, and the rows staged for them with them
+const CONTINUATION_TTL_SECONDS = parseInt(process.env.CONTINUATION_TTL_SECONDS, 10) || 900;
+
+// Rows a resumable query has fetched so far wait here between requests as { tables, expiresAt },
+// under a random handle that only the sealed continuation token carries. Expired entries are
+// swept whenever a new one is staged, so tokens that are never resumed don't leave rows behind.
+//
+// The next step of a query can land on another serverless instance, so resuming needs a backend
+// the instances share: fs on a shared volume, or sqlite. The memory default only resumes on the
+// instance that staged the rows.
+
+function memoryDocuments() {
+  const entries = new Map();
+  return {
+    async get(key) {
+      return entries.get(key) ?? null;
+    },
+    async set(key, value) {
+      entries.set(key, value);
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async keys() {
+      return [...entries.keys()];
+    }
+  };
+}
+
+function continuationStore(documents, ttlSeconds) {
+  const sweep = async () => {
+    for (const key of await documents.keys()) {
+      const entry = await documents.get(key);
+      if (entry && entry.expiresAt <= Date.now()) await documents.delete(key);
+    }
+  };
+
+  return {
+    // Stages the rows and returns the handle to seal into the token
+    async stage(tables) {
+      await sweep();
+      const handle = crypto.randomBytes(16).toString('base64url');
+      await documents.set(handle, { tables, expiresAt: Date.now() + ttlSeconds * 1000 });
+      return handle;
+    },
+    // The staged tables, or null when the handle is unknown or expired
+    async read(handle) {
+      const entry = await documents.get(handle);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        await documents.delete(handle);
+        return null;
+      }
+      return entry.tables;
+    },
+    async discard(handle) {
+      await documents.delete(handle);
+    }
+  };
+}
+
+// CONTINUATION_STORE picks the backend: memory (default), fs or sqlite; CONTINUATION_STORE_PATH overrides where fs/sqlite write
+function createContinuationStore(backend = process.env.CONTINUATION_STORE || 'memory', ttlSeconds = CONTINUATION_TTL_SECONDS) {
+  const location = process.env.CONTINUATION_STORE_PATH;
+  switch (backend) {
+    case 'memory':
+      return continuationStore(memoryDocuments(), ttlSeconds);
+    case 'fs':
+      return continuationStore(fileDocuments(location || path.join(os.tmpdir(), 'shopify-sql-continuations')), ttlSeconds);
+    case 'sqlite':
+      return continuationStore(sqliteDocuments(location || path.join(os.tmpdir(), 'shopify-sql-continuations.db'), 'continuations', 'CONTINUATION_STORE'), ttlSeconds);
+    default:
+      throw new Error(`Unknown CONTINUATION_STORE backend: ${backend}`);
+  }
+}
+
+module.exports = { CONTINUATION_TTL_SECONDS, createContinuationStore };
@@ -0,0 +1,58 @@
+// Five-field cron expressions (minute hour day-of-month month day-of-week) in the runner's local time.
+// Fields take *, numbers, ranges (1-5), lists (1,15) and steps (*/15, 9-17/2); Sunday is 0 or 7.
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// How far back a missed run is still caught up, so a runner that was down doesn't replay weeks of minutes
+const MAX_CATCH_UP_MINUTES = 7 * 24 * 60;
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`Invalid cron ${name}: ${part}`);
+    const [, range, start, end, step] = match;
+    const from = range === '*' ? min : parseInt(start, 10);
+    const to = range === '*' ? max : end != null ? parseInt(end, 10) : step ? max : from;
+    const by = step ? parseInt(step, 10) : 1;
+    if (from < min || to > max || from > to || by < 1) throw new Error(`Invalid cron ${name}: ${part}`);
+    for (let value = from; value <= to; value += by) values.add(value);
+  }
+  return values;
+}
+
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error('Cron schedules need five fields: minute hour day-of-month month day-of-week');
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (weekdays.has(7)) weekdays.add(0);
+  // Like cron, a restricted day-of-month and day-of-week match when either does
+  return { minutes, hours, days, months, weekdays, anyDay: parts[2] === '*', anyWeekday: parts[4] === '*' };
+}
+
+function cronMatches(cron, date) {
+  const dayMatches = cron.anyDay || cron.anyWeekday
+    ? cron.days.has(date.getDate()) && cron.weekdays.has(date.getDay())
+    : cron.days.has(date.getDate()) || cron.weekdays.has(date.getDay());
+  return cron.minutes.has(date.getMinutes()) && cron.hours.has(date.getHours()) && cron.months.has(date.getMonth() + 1) && dayMatches;
+}
+
+// Whether a scheduled minute fell after `since` and at or before `now`
+function isDue(expression, since, now = new Date()) {
+  const cron = parseCron(expression);
+  const end = new Date(now);
+  end.setSeconds(0, 0);
+  const start = new Date(Math.max(new Date(since).getTime(), end.getTime() - MAX_CATCH_UP_MINUTES * 60000));
+  start.setSeconds(0, 0);
+  for (let minute = new Date(end); minute > start; minute.setMinutes(minute.getMinutes() - 1)) {
+    if (cronMatches(cron, minute)) return true;
+  }
+  return false;
+}
+
+module.exports = { parseCron, cronMatches, isDue };
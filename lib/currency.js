@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+
+// Exchange rates as units of each currency per one unit of a common base, by date:
+//   CSV:  date,currency,rate           JSON: { "2024-01-01": { "USD": 1, "EUR": 0.92 }, ... }
+// Any base works as long as one file uses the same one throughout.
+
+function parseCsv(text) {
+  const [header, ...lines] = text.split(/\r?\n/).filter(line => line.trim());
+  const fields = header.split(',').map(f => f.trim().toLowerCase());
+  const index = name => fields.indexOf(name);
+  if (index('date') < 0 || index('currency') < 0 || index('rate') < 0) {
+    throw new Error('Currency rate CSV needs date, currency and rate columns');
+  }
+  return lines.map(line => {
+    const values = line.split(',').map(v => v.trim());
+    return { date: values[index('date')], currency: values[index('currency')], rate: parseFloat(values[index('rate')]) };
+  });
+}
+
+function parseJson(text) {
+  return Object.entries(JSON.parse(text)).flatMap(([date, rates]) =>
+    Object.entries(rates).map(([currency, rate]) => ({ date, currency, rate: parseFloat(rate) })));
+}
+
+// A rate table over { date, currency, rate } rows; any source that produces those rows can back it
+function createRateTable(rows) {
+  const byCurrency = new Map();
+  for (const { date, currency, rate } of rows) {
+    if (!date || !currency || !(rate > 0)) continue;
+    const code = currency.toUpperCase();
+    if (!byCurrency.has(code)) byCurrency.set(code, []);
+    byCurrency.get(code).push({ date: date.slice(0, 10), rate });
+  }
+  for (const rates of byCurrency.values()) rates.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+
+  // Latest rate on or before the date; dates before the table use its first rate, no date uses the latest
+  const rateOn = (currency, date) => {
+    const rates = byCurrency.get(currency);
+    if (!rates) throw new Error(`No exchange rate for ${currency}`);
+    if (!date) return rates[rates.length - 1].rate;
+    let low = 0;
+    let high = rates.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (rates[mid].date <= date) low = mid;
+      else high = mid - 1;
+    }
+    return rates[low].rate;
+  };
+
+  return {
+    convert(amount, from, to, date) {
+      if (amount == null || !from || !to) return null;
+      const source = String(from).toUpperCase();
+      const target = String(to).toUpperCase();
+      if (source === target) return amount;
+      const day = date ? String(date).slice(0, 10) : null;
+      return (amount / rateOn(source, day)) * rateOn(target, day);
+    }
+  };
+}
+
+function loadRateFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  return createRateTable(path.extname(file).toLowerCase() === '.csv' ? parseCsv(text) : parseJson(text));
+}
+
+let rateTable;
+
+// CURRENCY_RATES_PATH points at the rate file, loaded on first use
+function currentRateTable() {
+  if (rateTable === undefined) {
+    const file = process.env.CURRENCY_RATES_PATH;
+    rateTable = file ? loadRateFile(path.resolve(file)) : null;
+  }
+  if (!rateTable) throw new Error('CONVERT_CURRENCY needs a rate table; set CURRENCY_RATES_PATH to a JSON or CSV file');
+  return rateTable;
+}
+
+// Swap in another rate source, e.g. rows from a database or a rates API
+function setRateTable(table) {
+  rateTable = table;
+}
+
+function convertCurrency(amount, from, to, date) {
+  return currentRateTable().convert(amount, from, to, date);
+}
+
+module.exports = { createRateTable, loadRateFile, setRateTable, convertCurrency };
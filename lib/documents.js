@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+// Keyed JSON documents for the stores that persist on the server: the table cache, schedules and
+// their snapshots, API keys and the query library. Each is a collection with async
+// get / set / delete / keys / list / clear, kept either as files or as rows of a SQLite database.
+// keys and list are in key order.
+
+// Keys that are safe file names are used as they are; anything else is hashed
+function fileName(key) {
+  return /^[\w.-]{1,200}$/.test(key) ? key : crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// A directory of <key>.json files
+function fileDocuments(dir) {
+  const file = key => path.join(dir, `${fileName(key)}.json`);
+  const read = async name => {
+    try {
+      return JSON.parse(await fs.readFile(path.join(dir, name), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+  const names = async () => {
+    try {
+      return (await fs.readdir(dir)).filter(f => f.endsWith('.json')).sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  };
+
+  return {
+    async get(key) {
+      return read(path.basename(file(key)));
+    },
+    async set(key, value) {
+      await fs.mkdir(dir, { recursive: true });
+      // Write then rename so a concurrent reader never sees half a file
+      const tmp = `${file(key)}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(value));
+      await fs.rename(tmp, file(key));
+    },
+    async delete(key) {
+      await fs.rm(file(key), { force: true });
+    },
+    async keys() {
+      return (await names()).map(name => name.slice(0, -'.json'.length));
+    },
+    async list() {
+      return (await Promise.all((await names()).map(read))).filter(Boolean);
+    },
+    async clear() {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+// One connection per database file, shared by its collections
+const databases = new Map();
+
+// node:sqlite loads without a flag from Node 22.13 (and 23.4); 22.5 to 22.12 need --experimental-sqlite
+function openDatabase(filename, setting) {
+  if (databases.has(filename)) return databases.get(filename);
+  let sqlite;
+  try {
+    sqlite = require('node:sqlite');
+  } catch {
+    const [major, minor] = process.versions.node.split('.').map(Number);
+    const flagged = (major === 22 && minor >= 5) || (major === 23 && minor < 4);
+    throw new Error(flagged
+      ? `${setting}=sqlite needs Node ${process.versions.node} to run with --experimental-sqlite, or Node 22.13 or later`
+      : `${setting}=sqlite needs Node 22.13 or later`);
+  }
+  require('fs').mkdirSync(path.dirname(filename), { recursive: true });
+
+  const db = new sqlite.DatabaseSync(filename);
+  db.exec(`CREATE TABLE IF NOT EXISTS documents (
+    collection TEXT NOT NULL, key TEXT NOT NULL, value TEXT NOT NULL, PRIMARY KEY (collection, key))`);
+  databases.set(filename, db);
+  return db;
+}
+
+// The rows of one collection in a SQLite database file; `setting` names the env var in errors
+function sqliteDocuments(filename, collection, setting) {
+  const db = openDatabase(filename, setting);
+  const select = db.prepare('SELECT value FROM documents WHERE collection = ? AND key = ?');
+  const upsert = db.prepare(`INSERT INTO documents (collection, key, value) VALUES (?, ?, ?)
+    ON CONFLICT(collection, key) DO UPDATE SET value = excluded.value`);
+  const remove = db.prepare('DELETE FROM documents WHERE collection = ? AND key = ?');
+  const selectKeys = db.prepare('SELECT key FROM documents WHERE collection = ? ORDER BY key');
+  const selectAll = db.prepare('SELECT value FROM documents WHERE collection = ? ORDER BY key');
+  const removeAll = db.prepare('DELETE FROM documents WHERE collection = ?');
+
+  return {
+    async get(key) {
+      const row = select.get(collection, key);
+      return row ? JSON.parse(row.value) : null;
+    },
+    async set(key, value) {
+      upsert.run(collection, key, JSON.stringify(value));
+    },
+    async delete(key) {
+      remove.run(collection, key);
+    },
+    async keys() {
+      return selectKeys.all(collection).map(row => row.key);
+    },
+    async list() {
+      return selectAll.all(collection).map(row => JSON.parse(row.value));
+    },
+    async clear() {
+      removeAll.run(collection);
+    }
+  };
+}
+
+module.exports = { fileDocuments, sqliteDocuments };
@@ -0,0 +1,143 @@
+const { once } = require('events');
+
+// Result sets written straight to the response, row by row, so an export never builds the whole file in memory.
+// Each writer takes (res, columns, rows) and ends the response.
+const EXPORT_FORMATS = {
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8', write: writeJson },
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8', write: writeCsv },
+  xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', write: writeXlsx },
+  jsonl: { extension: 'jsonl', contentType: 'application/x-ndjson; charset=utf-8', write: writeJsonl },
+  parquet: { extension: 'parquet', contentType: 'application/vnd.apache.parquet', write: writeParquet }
+};
+
+// Rows written per res.write call for the text formats
+const WRITE_BATCH_ROWS = 500;
+// Excel's sheet limit; longer results are cut off with a note in the last row
+const XLSX_MAX_ROWS = 1048575;
+
+// Every key that appears in any row, in first-seen order (alasql drops undefined columns per row)
+function resultColumns(rows) {
+  const columns = new Set();
+  for (const row of rows) {
+    for (const key of Object.keys(row)) columns.add(key);
+  }
+  return [...columns];
+}
+
+// Nested values (line item lists, metafield objects) are exported as JSON text
+function plainValue(value) {
+  if (value == null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+// RFC 4180 field. Text a spreadsheet would read as a formula (=, +, -, @, tab, carriage return)
+// gets a leading apostrophe; plain numbers are left alone so they still sort as numbers.
+function csvField(value) {
+  const plain = plainValue(value);
+  if (plain == null) return '';
+  let text = String(plain);
+  if (typeof plain === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function write(res, chunk) {
+  if (!res.write(chunk)) await once(res, 'drain');
+}
+
+async function writeLines(res, rows, line, header = '', footer = '') {
+  let chunk = header;
+  for (let i = 0; i < rows.length; i++) {
+    chunk += line(rows[i], i);
+    if ((i + 1) % WRITE_BATCH_ROWS === 0) {
+      await write(res, chunk);
+      chunk = '';
+    }
+  }
+  if (chunk + footer) await write(res, chunk + footer);
+  res.end();
+}
+
+function writeCsv(res, columns, rows) {
+  const header = columns.map(csvField).join(',') + '\r\n';
+  return writeLines(res, rows, row => columns.map(c => csvField(row[c])).join(',') + '\r\n', header);
+}
+
+// One array of row objects, written a batch at a time like the other text formats
+function writeJson(res, columns, rows) {
+  return writeLines(res, rows, (row, i) => (i > 0 ? ',' : '') + JSON.stringify(row), '[', ']');
+}
+
+function writeJsonl(res, columns, rows) {
+  return writeLines(res, rows, row => JSON.stringify(row) + '\n');
+}
+
+// ExcelJS's streaming writer stores strings as inline text, never as formulas
+async function writeXlsx(res, columns, rows) {
+  const ExcelJS = require('exceljs');
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useSharedStrings: false, useStyles: false });
+  const sheet = workbook.addWorksheet('Results');
+  sheet.columns = columns.map(c => ({ header: c, key: c }));
+  for (const row of rows.slice(0, XLSX_MAX_ROWS - 1)) {
+    sheet.addRow(columns.map(c => plainValue(row[c]))).commit();
+  }
+  if (rows.length >= XLSX_MAX_ROWS) {
+    sheet.addRow([`${rows.length - XLSX_MAX_ROWS + 1} more rows did not fit; export as CSV, JSONL or Parquet for the full result`]).commit();
+  }
+  sheet.commit();
+  await workbook.commit();
+}
+
+// Column types come from the values: all integers → INT64, numbers → DOUBLE, booleans → BOOLEAN, anything else text
+function parquetSchema(columns, rows) {
+  const parquet = require('parquetjs-lite');
+  const fields = {};
+  for (const column of columns) {
+    const values = rows.map(row => row[column]).filter(v => v != null);
+    let type = 'UTF8';
+    if (values.length > 0 && values.every(v => typeof v === 'number')) {
+      type = values.every(Number.isSafeInteger) ? 'INT64' : 'DOUBLE';
+    } else if (values.length > 0 && values.every(v => typeof v === 'boolean')) {
+      type = 'BOOLEAN';
+    }
+    fields[column] = { type, optional: true };
+  }
+  return new parquet.ParquetSchema(fields);
+}
+
+async function writeParquet(res, columns, rows) {
+  const parquet = require('parquetjs-lite');
+  const schema = parquetSchema(columns, rows);
+  const writer = await parquet.ParquetWriter.openStream(schema, res);
+  for (const row of rows) {
+    const record = {};
+    for (const column of columns) {
+      const value = row[column];
+      if (value == null) continue;
+      record[column] = schema.fields[column].primitiveType === 'BYTE_ARRAY' ? String(plainValue(value)) : value;
+    }
+    await writer.appendRow(record);
+  }
+  await writer.close();
+}
+
+// Safe for a Content-Disposition header on every browser
+function exportFilename(name, extension) {
+  const base = String(name || '').replace(/[^\w.-]+/g, '_').replace(/^[_.]+|_+$/g, '').slice(0, 100);
+  return `${base || `export_${Date.now()}`}.${extension}`;
+}
+
+async function streamExport(res, format, rows, name) {
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) throw new Error(`Unknown export format: ${format}`);
+  const { extension, contentType, write: writeRows } = EXPORT_FORMATS[format];
+  res.statusCode = 200;
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(name, extension)}"`);
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('X-Row-Count', String(rows.length));
+  res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition, X-Row-Count');
+  await writeRows(res, resultColumns(rows), rows);
+}
+
+module.exports = { EXPORT_FORMATS, resultColumns, csvField, exportFilename, streamExport };
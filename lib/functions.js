@@ -0,0 +1,515 @@
+const alasql = require('alasql');
+const crypto = require('crypto');
+const { convertCurrency } = require('./currency');
+
+// Custom SQL functions, registered on alasql.fn (alasql.aggr for aggregates) when this module loads.
+// NULL in gives NULL out throughout; an empty string is a value like any other.
+//
+// Date functions read timestamps in the shop's timezone: DATE('2024-03-01T03:00:00Z') is 2024-02-29
+// for a shop in New York. runQuery sets the timezones (IANA names from the shop record) around each
+// query; without them dates are read in UTC, never in the server's own timezone.
+//
+// A cross-store query has one shop timezone too: the first selected store's, which DATE, YEAR, MONTH,
+// DAY, DATE_TRUNC, DATE_ADD and DATE_DIFF use for every store's rows. For each row's own store,
+// convert first: DATE(TO_SHOP_TZ(created_at, store)). TO_SHOP_TZ's result carries its offset, which
+// DATE, YEAR, MONTH and DAY read as written.
+
+// Functions whose result depends on the shop timezone, so the query needs it loaded
+const TIMEZONE_FUNCTIONS = ['DATE', 'YEAR', 'MONTH', 'DAY', 'DATE_TRUNC', 'DATE_ADD', 'DATE_DIFF', 'TO_SHOP_TZ'];
+
+// { zone, stores: { storeName: zone } } for the query being run. alasql runs a query synchronously,
+// so setting it around db.exec can't leak into another request's query.
+let timezones = { zone: 'UTC', stores: {} };
+
+function withShopTimezones(next, run) {
+  const previous = timezones;
+  timezones = { zone: next?.zone || 'UTC', stores: next?.stores || {} };
+  try {
+    return run();
+  } finally {
+    timezones = previous;
+  }
+}
+
+// Whether the statement calls one of TIMEZONE_FUNCTIONS, from the parsed SQL rather than the text
+function usesShopTimezone(sql) {
+  let found = false;
+  const walk = (node) => {
+    if (found || !node || typeof node !== 'object') return;
+    if (node instanceof alasql.yy.FuncValue && TIMEZONE_FUNCTIONS.includes(String(node.funcid).toUpperCase())) {
+      found = true;
+      return;
+    }
+    Object.values(node).forEach(walk);
+  };
+  alasql.parse(sql).statements.forEach(walk);
+  return found;
+}
+
+// Strings, hashes and conversions
+
+alasql.fn.SHA2 = function(str, bits) {
+  if (str == null) return null;
+  const algorithm = bits === 512 ? 'sha512' : 'sha256';
+  return crypto.createHash(algorithm).update(String(str)).digest('hex');
+};
+
+alasql.fn.MD5 = function(str) {
+  if (str == null) return null;
+  return crypto.createHash('md5').update(String(str)).digest('hex');
+};
+
+alasql.fn.LOWER = function(str) {
+  return str == null ? null : String(str).toLowerCase();
+};
+
+alasql.fn.UPPER = function(str) {
+  return str == null ? null : String(str).toUpperCase();
+};
+
+// NULL arguments are skipped rather than making the whole result NULL
+alasql.fn.CONCAT = function(...args) {
+  return args.filter(a => a != null).join('');
+};
+
+alasql.fn.SUBSTRING = function(str, start, length) {
+  if (str == null) return null;
+  return String(str).substring(start - 1, length != null ? start - 1 + length : undefined);
+};
+
+alasql.fn.TRIM = function(str) {
+  return str == null ? null : String(str).trim();
+};
+
+alasql.fn.LENGTH = function(str) {
+  return str == null ? null : String(str).length;
+};
+
+alasql.fn.COALESCE = function(...args) {
+  for (const arg of args) {
+    if (arg != null) return arg;
+  }
+  return null;
+};
+
+alasql.fn.IFNULL = function(val, defaultVal) {
+  return val != null ? val : defaultVal;
+};
+
+alasql.fn.NULLIF = function(val1, val2) {
+  return val1 === val2 ? null : val1;
+};
+
+// Text that isn't a number casts to NULL
+alasql.fn.CAST = function(val, type) {
+  if (val == null) return null;
+  switch (type?.toUpperCase()) {
+    case 'INT':
+    case 'INTEGER': {
+      const int = parseInt(val, 10);
+      return Number.isNaN(int) ? null : int;
+    }
+    case 'FLOAT':
+    case 'DECIMAL':
+    case 'DOUBLE': {
+      const float = parseFloat(val);
+      return Number.isNaN(float) ? null : float;
+    }
+    case 'STRING':
+    case 'VARCHAR':
+    case 'CHAR':
+      return String(val);
+    default:
+      return val;
+  }
+};
+
+// CONVERT_CURRENCY(total_price, currency, 'USD', created_at) using the configured rate table
+alasql.fn.CONVERT_CURRENCY = function(amount, from, to, date) {
+  return convertCurrency(amount, from, to, date);
+};
+
+// SPLIT_PART('a,b,c', ',', 2) is 'b'; negative positions count from the end, and a position past
+// either end gives ''
+alasql.fn.SPLIT_PART = function(str, delimiter, position) {
+  if (str == null || delimiter == null || position == null) return null;
+  const n = parseInt(position, 10);
+  if (!n) throw new Error('SPLIT_PART position must be a non-zero integer');
+  const parts = delimiter === '' ? [String(str)] : String(str).split(String(delimiter));
+  const part = n > 0 ? parts[n - 1] : parts[parts.length + n];
+  return part ?? '';
+};
+
+// Regular expressions (JavaScript syntax), compiled once per pattern and flags
+
+const patterns = new Map();
+
+function compilePattern(name, pattern, flags = '') {
+  const key = `${flags}/${pattern}`;
+  if (!patterns.has(key)) {
+    try {
+      patterns.set(key, new RegExp(pattern, flags));
+    } catch (error) {
+      throw new Error(`${name}: ${error.message}`);
+    }
+  }
+  return patterns.get(key);
+}
+
+// The first match, or its first capture group when the pattern has one; NULL when nothing matches.
+// REGEXP_MATCH(note, 'PO-(\d+)') is '1234' for 'Ref PO-1234'. flags is 'i' for case-insensitive.
+alasql.fn.REGEXP_MATCH = function(str, pattern, flags) {
+  if (str == null || pattern == null) return null;
+  const match = String(str).match(compilePattern('REGEXP_MATCH', String(pattern), flags == null ? '' : String(flags).replace(/g/g, '')));
+  if (!match) return null;
+  return match.length > 1 ? match[1] ?? null : match[0];
+};
+
+// Replaces every match; the replacement can refer to groups as $1, $2
+alasql.fn.REGEXP_REPLACE = function(str, pattern, replacement, flags) {
+  if (str == null || pattern == null || replacement == null) return null;
+  const regex = compilePattern('REGEXP_REPLACE', String(pattern), `${flags == null ? '' : String(flags).replace(/g/g, '')}g`);
+  return String(str).replace(regex, String(replacement));
+};
+
+// JSON
+
+// '$.a.b[0]', '$["a key"]' or just 'a.b' into a list of keys and indexes
+function jsonPath(path) {
+  let rest = String(path).trim().replace(/^\$/, '');
+  if (rest && !/^[.[]/.test(rest)) rest = `.${rest}`;
+  const step = /\.([^.[\]]+)|\[(\d+)\]|\["((?:[^"\\]|\\.)*)"\]|\['((?:[^'\\]|\\.)*)'\]/y;
+  const keys = [];
+  while (step.lastIndex < rest.length) {
+    const match = step.exec(rest);
+    if (!match) throw new Error(`JSON_EXTRACT: invalid path ${path}`);
+    if (match[1] !== undefined) keys.push(match[1]);
+    else if (match[2] !== undefined) keys.push(Number(match[2]));
+    else keys.push((match[3] ?? match[4]).replace(/\\(.)/g, '$1'));
+  }
+  return keys;
+}
+
+// A value out of a JSON document or an already-parsed object (json metafields are parsed).
+// Missing keys and text that isn't JSON give NULL.
+alasql.fn.JSON_EXTRACT = function(value, path) {
+  if (value == null || path == null) return null;
+  let document = value;
+  if (typeof value === 'string') {
+    try {
+      document = JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+  for (const key of jsonPath(path)) {
+    if (document == null || typeof document !== 'object') return null;
+    document = document[key];
+  }
+  return document === undefined ? null : document;
+};
+
+// Numbers. alasql compiles its own ROUND and ABS, which return undefined rather than NULL.
+
+function toNumber(value) {
+  if (value == null || value === '' || typeof value === 'boolean') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Halves round away from zero, in decimal: ROUND(1.005, 2) is 1.01
+alasql.fn.ROUND = function(value, digits = 0) {
+  const number = toNumber(value);
+  if (number == null) return null;
+  const places = digits == null ? 0 : parseInt(digits, 10) || 0;
+  const shifted = Math.round(Number(`${Math.abs(number)}e${places}`));
+  const rounded = Number(`${shifted}e${-places}`);
+  return Math.sign(number) * (Number.isNaN(rounded) ? Math.round(Math.abs(number) * 10 ** places) / 10 ** places : rounded) || 0;
+};
+
+alasql.fn.ABS = function(value) {
+  const number = toNumber(value);
+  return number == null ? null : Math.abs(number);
+};
+
+// PERCENTILE(total_price, 0.9): the value below which that fraction of the non-NULL values fall,
+// interpolating between neighbours (PERCENTILE_CONT). alasql passes the fraction on every row but not
+// when finishing, so it's kept in the accumulator.
+alasql.aggr.PERCENTILE = function(value, fraction, accumulator, stage) {
+  if (stage === 1 || stage === 2) {
+    const state = accumulator || { values: [], fraction: null };
+    const p = Number(fraction);
+    if (fraction == null || !(p >= 0 && p <= 1)) throw new Error('PERCENTILE fraction must be between 0 and 1');
+    state.fraction = p;
+    const number = toNumber(value);
+    if (number != null) state.values.push(number);
+    return state;
+  }
+  if (!accumulator || accumulator.values.length === 0) return null;
+  const values = accumulator.values.sort((a, b) => a - b);
+  const position = (values.length - 1) * accumulator.fraction;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return values[lower] + (values[upper] - values[lower]) * (position - lower);
+};
+
+// alasql shares one accumulator between aggregates that print the same, and prints a custom aggregate
+// with its first argument only, so PERCENTILE(x, 0.5) and PERCENTILE(x, 0.9) would share one. runQuery
+// gives each fraction its own aggregate instead: PERCENTILE(x, 0.9) runs as percentile_0_9(x).
+const quotedSql = /'(?:[^']|'')*'|"(?:[^"]|"")*"|`[^`]*`|\[[^\]]*\]|--[^\n]*|\/\*[\s\S]*?\*\//y;
+const NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+// Each PERCENTILE( call outside literals and comments, with where its parentheses and commas are
+function percentileCalls(sql) {
+  const calls = [];
+  const open = [];
+  for (let i = 0; i < sql.length; i++) {
+    quotedSql.lastIndex = i;
+    const quoted = quotedSql.exec(sql);
+    if (quoted) {
+      i += quoted[0].length - 1;
+    } else if (sql[i] === '(') {
+      const name = sql.slice(0, i).match(/(?<![\w.])PERCENTILE\s*$/i);
+      open.push({ start: name ? i - name[0].length : -1, open: i, commas: [] });
+    } else if (sql[i] === ',' && open.length > 0) {
+      open[open.length - 1].commas.push(i);
+    } else if (sql[i] === ')') {
+      const call = open.pop();
+      if (call && call.start >= 0) calls.push({ ...call, close: i });
+    }
+  }
+  // An aggregate can't hold another, so a PERCENTILE inside one is left for alasql to reject
+  return calls.filter(call => !calls.some(outer => outer.start < call.start && call.close < outer.close));
+}
+
+function percentileFraction(text, params) {
+  const parameter = text.match(/^:\[?(\w+)\]?$/);
+  const value = parameter ? params[parameter[1]] : NUMBER.test(text) ? Number(text) : undefined;
+  if (value === undefined) throw new Error('PERCENTILE fraction must be a number or a :parameter, e.g. PERCENTILE(total_price, 0.9)');
+  const p = Number(value);
+  if (value === null || value === '' || !(p >= 0 && p <= 1)) throw new Error('PERCENTILE fraction must be between 0 and 1');
+  return p;
+}
+
+// Runs `run` with the SQL rewritten to one aggregate per PERCENTILE fraction, registered for the
+// duration of the query (alasql runs it synchronously)
+function withPercentiles(sql, params, run) {
+  const registered = [];
+  let rewritten = sql;
+  for (const call of percentileCalls(sql).reverse()) {
+    if (call.commas.length !== 1) throw new Error('PERCENTILE takes a value and a fraction, e.g. PERCENTILE(total_price, 0.9)');
+    const fraction = percentileFraction(sql.slice(call.commas[0] + 1, call.close).trim(), params || {});
+    const name = `percentile_${String(fraction).replace(/\W/g, '_')}`;
+    if (!alasql.aggr[name]) {
+      alasql.aggr[name] = (value, accumulator, stage) => alasql.aggr.PERCENTILE(value, fraction, accumulator, stage);
+      registered.push(name);
+    }
+    rewritten = `${rewritten.slice(0, call.start)}${name}(${sql.slice(call.open + 1, call.commas[0])})${rewritten.slice(call.close + 1)}`;
+  }
+  try {
+    return run(rewritten);
+  } finally {
+    registered.forEach(name => delete alasql.aggr[name]);
+  }
+}
+
+// Dates and times
+
+const UNITS = {
+  second: 'second', seconds: 'second',
+  minute: 'minute', minutes: 'minute',
+  hour: 'hour', hours: 'hour',
+  day: 'day', days: 'day',
+  week: 'week', weeks: 'week',
+  month: 'month', months: 'month',
+  quarter: 'quarter', quarters: 'quarter',
+  year: 'year', years: 'year'
+};
+const UNIT_MS = { second: 1000, minute: 60000, hour: 3600000, day: 86400000, week: 604800000 };
+
+function dateUnit(name, unit) {
+  const normalized = UNITS[String(unit).toLowerCase()];
+  if (!normalized) throw new Error(`${name}: unknown unit '${unit}'. Use ${[...new Set(Object.values(UNITS))].join(', ')}`);
+  return normalized;
+}
+
+// The zone for an optional store name or IANA zone argument, else the shop's
+function zoneFor(storeOrZone) {
+  if (storeOrZone == null) return timezones.zone;
+  if (timezones.stores[storeOrZone]) return timezones.stores[storeOrZone];
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: String(storeOrZone) });
+  } catch {
+    throw new Error(`Unknown store or timezone: ${storeOrZone}`);
+  }
+  return String(storeOrZone);
+}
+
+const formatters = new Map();
+
+// Minutes east of UTC in `zone` at instant `ms`
+function zoneOffset(ms, zone) {
+  if (!formatters.has(zone)) {
+    formatters.set(zone, new Intl.DateTimeFormat('en-US', {
+      timeZone: zone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }));
+  }
+  const parts = Object.fromEntries(formatters.get(zone).formatToParts(new Date(ms)).map(p => [p.type, Number(p.value)]));
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((local - (ms - (ms % 1000 + 1000) % 1000)) / 60000);
+}
+
+// A wall-clock time: `local` is its fields as if in UTC, `offset` its minutes east of UTC
+function fromInstant(ms, zone) {
+  const offset = zoneOffset(ms, zone);
+  return { local: ms + offset * 60000, offset, dateOnly: false };
+}
+
+// The wall-clock time `local` in `zone`, with the offset that applies there then
+function fromLocal(local, zone, dateOnly = false) {
+  let offset = zoneOffset(local, zone);
+  offset = zoneOffset(local - offset * 60000, zone);
+  return { local, offset, dateOnly };
+}
+
+const TIMESTAMP = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+
+// Read a timestamp in `zone`. UTC instants (Shopify's ...Z strings, Dates, epoch milliseconds) are
+// converted; a string with its own offset (what TO_SHOP_TZ returns) or none at all is read as written.
+// Anything unparseable is null.
+function readTime(value, zone) {
+  if (value == null || value === '') return null;
+  if (value instanceof Date || typeof value === 'number') {
+    const ms = value instanceof Date ? value.getTime() : value;
+    return Number.isFinite(ms) ? fromInstant(ms, zone) : null;
+  }
+  const match = String(value).trim().match(TIMESTAMP);
+  if (!match) {
+    const ms = Date.parse(value);
+    return Number.isNaN(ms) ? null : fromInstant(ms, zone);
+  }
+  const [, year, month, day, hour = 0, minute = 0, second = 0, fraction = '', offset] = match;
+  const local = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second, Math.round(Number(`0${fraction}`) * 1000));
+  if (Number.isNaN(local)) return null;
+  if (offset && offset.toUpperCase() === 'Z') return fromInstant(local, zone);
+  if (offset) {
+    const [, sign, hh, mm] = offset.match(/([+-])(\d{2}):?(\d{2})/);
+    return { local, offset: (sign === '-' ? -1 : 1) * (Number(hh) * 60 + Number(mm)), dateOnly: false };
+  }
+  return fromLocal(local, zone, match[4] === undefined);
+}
+
+const pad = (n, width = 2) => String(Math.abs(n)).padStart(width, '0');
+
+function formatDate(time) {
+  const d = new Date(time.local);
+  return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+}
+
+// 2024-03-01T09:30:00-05:00, or just the date for a date-only input
+function formatTime(time) {
+  if (time.dateOnly) return formatDate(time);
+  const d = new Date(time.local);
+  const sign = time.offset < 0 ? '-' : '+';
+  return `${formatDate(time)}T${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())}${sign}${pad(Math.trunc(time.offset / 60))}:${pad(time.offset % 60)}`;
+}
+
+// Calendar arithmetic on the wall clock; a day past the end of the month clamps to its last day
+function addMonths(local, months) {
+  const d = new Date(local);
+  const target = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + months, 1, d.getUTCHours(), d.getUTCMinutes(), d.getUTCSeconds(), d.getUTCMilliseconds()));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(d.getUTCDate(), lastDay));
+  return target.getTime();
+}
+
+alasql.fn.NOW = function() {
+  return new Date().toISOString();
+};
+
+// TO_SHOP_TZ(created_at) is the shop's local time with its offset, e.g. 2024-03-01T04:30:00-05:00.
+// In a cross-store query, TO_SHOP_TZ(created_at, store) uses each row's store; an IANA name works too.
+alasql.fn.TO_SHOP_TZ = function(value, storeOrZone) {
+  const time = readTime(value, zoneFor(storeOrZone));
+  return time && formatTime(time);
+};
+
+alasql.fn.DATE = function(value) {
+  const time = readTime(value, timezones.zone);
+  return time && formatDate(time);
+};
+
+alasql.fn.YEAR = function(value) {
+  const time = readTime(value, timezones.zone);
+  return time && new Date(time.local).getUTCFullYear();
+};
+
+alasql.fn.MONTH = function(value) {
+  const time = readTime(value, timezones.zone);
+  return time && new Date(time.local).getUTCMonth() + 1;
+};
+
+alasql.fn.DAY = function(value) {
+  const time = readTime(value, timezones.zone);
+  return time && new Date(time.local).getUTCDate();
+};
+
+// DATE_TRUNC('month', created_at) is the start of that month in the shop's timezone. Weeks start on Monday.
+alasql.fn.DATE_TRUNC = function(unit, value) {
+  const name = dateUnit('DATE_TRUNC', unit);
+  const time = readTime(value, timezones.zone);
+  if (!time) return null;
+  const d = new Date(time.local);
+  const [year, month, day] = [d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()];
+  const starts = {
+    second: Math.floor(time.local / 1000) * 1000,
+    minute: Math.floor(time.local / 60000) * 60000,
+    hour: Math.floor(time.local / 3600000) * 3600000,
+    day: Date.UTC(year, month, day),
+    week: Date.UTC(year, month, day - (d.getUTCDay() + 6) % 7),
+    month: Date.UTC(year, month, 1),
+    quarter: Date.UTC(year, month - month % 3, 1),
+    year: Date.UTC(year, 0, 1)
+  };
+  return formatTime(fromLocal(starts[name], timezones.zone, time.dateOnly));
+};
+
+// DATE_ADD(created_at, 7, 'day'). Seconds, minutes and hours are elapsed time; days and longer
+// move the calendar, keeping the wall-clock time across daylight saving changes.
+alasql.fn.DATE_ADD = function(value, amount, unit) {
+  const name = dateUnit('DATE_ADD', unit);
+  const time = readTime(value, timezones.zone);
+  const n = toNumber(amount);
+  if (!time || n == null) return null;
+  if (!Number.isInteger(n)) throw new Error('DATE_ADD amount must be a whole number');
+  if (name === 'second' || name === 'minute' || name === 'hour') {
+    const instant = time.local - time.offset * 60000 + n * UNIT_MS[name];
+    return formatTime(fromInstant(instant, timezones.zone));
+  }
+  const local = name === 'day' || name === 'week'
+    ? time.local + n * UNIT_MS[name]
+    : addMonths(time.local, n * { month: 1, quarter: 3, year: 12 }[name]);
+  return formatTime(fromLocal(local, timezones.zone, time.dateOnly));
+};
+
+// DATE_DIFF('day', created_at, processed_at): whole units from the first time to the second,
+// negative when the second is earlier. Days and longer count on the wall clock, like DATE_ADD.
+alasql.fn.DATE_DIFF = function(unit, start, end) {
+  const name = dateUnit('DATE_DIFF', unit);
+  const from = readTime(start, timezones.zone);
+  const to = readTime(end, timezones.zone);
+  if (!from || !to) return null;
+  if (name === 'second' || name === 'minute' || name === 'hour') {
+    return Math.trunc(((to.local - to.offset * 60000) - (from.local - from.offset * 60000)) / UNIT_MS[name]);
+  }
+  if (name === 'day' || name === 'week') return Math.trunc((to.local - from.local) / UNIT_MS[name]);
+  const a = new Date(from.local);
+  const b = new Date(to.local);
+  let months = (b.getUTCFullYear() - a.getUTCFullYear()) * 12 + b.getUTCMonth() - a.getUTCMonth();
+  // A month only counts once the day and time of the month are reached
+  if (months > 0 && addMonths(from.local, months) > to.local) months--;
+  if (months < 0 && addMonths(from.local, months) < to.local) months++;
+  return Math.trunc(months / { month: 1, quarter: 3, year: 12 }[name]);
+};
+
+module.exports = { TIMEZONE_FUNCTIONS, withShopTimezones, usesShopTimezone, withPercentiles };
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const { fileDocuments } = require('./documents');
+
+// Saved queries: { id, name, description, tags, sql, params, chart, updatedAt }, where params maps each
+// :name in the SQL to { type, default } and type is text, number, date or boolean, and chart is the
+// result chart { type, x, y, series } or null.
+// The browser keeps its library in localStorage; this server-side copy is optional and shared
+// by everyone connected to the same store.
+
+const PARAMETER_TYPES = ['text', 'number', 'date', 'boolean'];
+const CHART_TYPES = ['line', 'bar', 'stacked', 'pie', 'scatter'];
+const MAX_SAVED_QUERIES = 500;
+
+function normalizeChart(chart) {
+  if (chart == null) return null;
+  const { type, x, y, series = '' } = chart;
+  if (!CHART_TYPES.includes(type) || typeof x !== 'string' || !Array.isArray(y) || y.some(c => typeof c !== 'string') || typeof series !== 'string') {
+    throw new Error('Invalid chart settings');
+  }
+  return { type, x, y, series };
+}
+
+// Throws with a user-facing message; returns the query with only known fields
+function normalizeSavedQuery(query) {
+  if (!query || typeof query !== 'object') throw new Error('Missing saved query');
+  const { id, name, description = '', tags = [], sql, params = {}, chart = null } = query;
+  if (typeof name !== 'string' || !name.trim() || name.length > 200) throw new Error('Saved queries need a name');
+  if (typeof sql !== 'string' || !sql.trim()) throw new Error('Saved queries need SQL');
+  if (typeof description !== 'string') throw new Error('Description must be text');
+  if (!Array.isArray(tags) || tags.some(t => typeof t !== 'string')) throw new Error('Tags must be a list of strings');
+  if (!params || typeof params !== 'object' || Array.isArray(params)) throw new Error('Parameters must be an object');
+
+  const cleanParams = {};
+  for (const [param, spec] of Object.entries(params)) {
+    if (!/^[A-Za-z_]\w*$/.test(param)) throw new Error(`Invalid parameter name: ${param}`);
+    const type = PARAMETER_TYPES.includes(spec?.type) ? spec.type : 'text';
+    const value = spec?.default;
+    cleanParams[param] = { type, default: ['string', 'number', 'boolean'].includes(typeof value) ? value : null };
+  }
+
+  return {
+    id: typeof id === 'string' && /^[\w-]{1,64}$/.test(id) ? id : crypto.randomUUID(),
+    name: name.trim(),
+    description,
+    tags: [...new Set(tags.map(t => t.trim()).filter(Boolean))],
+    sql,
+    params: cleanParams,
+    chart: normalizeChart(chart),
+    updatedAt: new Date().toISOString()
+  };
+}
+
+// QUERY_LIBRARY=fs turns the server-side library on (off by default); QUERY_LIBRARY_PATH overrides where it writes
+function createQueryLibrary(backend = process.env.QUERY_LIBRARY || 'off') {
+  switch (backend) {
+    case 'off':
+      return null;
+    case 'fs': {
+      // One JSON file per store: <dir>/<store>.json
+      const libraries = fileDocuments(process.env.QUERY_LIBRARY_PATH || path.join(os.homedir(), '.shopify-sql', 'library'));
+      const list = async storeName => (await libraries.get(storeName)) || [];
+      return {
+        list,
+        // Saving a query with an existing id replaces it
+        async save(storeName, query) {
+          const saved = normalizeSavedQuery(query);
+          const queries = (await list(storeName)).filter(q => q.id !== saved.id);
+          if (queries.length >= MAX_SAVED_QUERIES) throw new Error(`A library holds at most ${MAX_SAVED_QUERIES} queries`);
+          await libraries.set(storeName, [...queries, saved]);
+          return saved;
+        },
+        async delete(storeName, id) {
+          await libraries.set(storeName, (await list(storeName)).filter(q => q.id !== id));
+        }
+      };
+    }
+    default:
+      throw new Error(`Unknown QUERY_LIBRARY backend: ${backend}`);
+  }
+}
+
+module.exports = { PARAMETER_TYPES, CHART_TYPES, normalizeSavedQuery, createQueryLibrary };
@@ -0,0 +1,82 @@
+// Metafields referenced as columns: mf_<namespace>_<key>, or mf_<namespace>__<key> when the
+// namespace itself contains underscores (mf_my_app__size).
+const MAX_METAFIELD_COLUMNS = 20;
+
+function parseMetafieldColumn(column) {
+  const name = column.slice(3);
+  const split = name.includes('__') ? name.indexOf('__') : name.indexOf('_');
+  if (split <= 0) return null;
+  const separator = name.includes('__') ? 2 : 1;
+  const key = name.slice(split + separator);
+  return key ? { column, namespace: name.slice(0, split), key } : null;
+}
+
+// Every mf_ column the SQL mentions, outside string literals and parameter names (:mf_x)
+function requestedMetafields(sql) {
+  const code = sql.replace(/'(?:[^']|'')*'|"(?:[^"]|"")*"/g, "''");
+  const columns = [...new Set(code.match(/(?<!:\[?)\bmf_[A-Za-z0-9_]+/g) || [])];
+  const metafields = columns.map(parseMetafieldColumn).filter(Boolean);
+  if (metafields.length > MAX_METAFIELD_COLUMNS) {
+    throw new Error(`At most ${MAX_METAFIELD_COLUMNS} metafield columns can be used in one query`);
+  }
+  return metafields;
+}
+
+// Replace each `# metafields` marker in a source query with one aliased lookup per requested metafield
+function withMetafields(query, metafields = []) {
+  const fields = metafields
+    .map(m => `${m.column}: metafield(namespace: ${JSON.stringify(m.namespace)}, key: ${JSON.stringify(m.key)}) { type value }`)
+    .join('\n');
+  return query.replace(/# metafields/g, fields);
+}
+
+// Convert a metafield's string value by its type so comparisons and aggregates work in SQL.
+// Dates stay ISO strings, like the other timestamp columns, so they compare against string literals.
+function metafieldValue(type, value) {
+  if (value == null) return null;
+  try {
+    switch (type) {
+      case 'number_integer':
+        return parseInt(value, 10);
+      case 'number_decimal':
+        return parseFloat(value);
+      case 'boolean':
+        return value === 'true';
+      case 'money':
+        return parseFloat(JSON.parse(value).amount);
+      case 'rating':
+        return parseFloat(JSON.parse(value).value);
+      case 'json':
+      case 'dimension':
+      case 'volume':
+      case 'weight':
+        return JSON.parse(value);
+      default:
+        return type?.startsWith('list.') ? JSON.parse(value) : value;
+    }
+  } catch {
+    return value;
+  }
+}
+
+// The aliased mf_ lookups on a node, as typed column values
+function metafieldColumns(node) {
+  const columns = {};
+  for (const [name, field] of Object.entries(node)) {
+    if (name.startsWith('mf_')) columns[name] = field ? metafieldValue(field.type, field.value) : null;
+  }
+  return columns;
+}
+
+// Part of the cache and bulk-run keys, since the requested metafields change the fetched nodes
+function metafieldsKey(metafields = []) {
+  return metafields.map(m => m.column).sort().join(',');
+}
+
+module.exports = {
+  requestedMetafields,
+  withMetafields,
+  metafieldValue,
+  metafieldColumns,
+  metafieldsKey
+};
@@ -0,0 +1,87 @@
+const { shopifyGraphQL } = require('./shopify');
+const { matchingBrace } = require('./bulk');
+
+const CHILD_PAGE_SIZE = 100;
+
+// Depth of `index` inside `text`, counted in braces
+function braceDepth(text, index) {
+  let depth = 0;
+  for (let i = 0; i < index; i++) {
+    if (text[i] === '{') depth++;
+    else if (text[i] === '}') depth--;
+  }
+  return depth;
+}
+
+// Nested connections of a source query (`field(first: N) { pageInfo nodes { ... } }`) and the
+// selection of their nodes. Lists such as `refunds { ... }` take no `first:` and come back whole.
+function nestedConnections(query) {
+  const connections = {};
+  const pattern = /(\w+)\(first:\s*\d+\)\s*\{/g;
+  let match;
+  while ((match = pattern.exec(query))) {
+    const open = match.index + match[0].length - 1;
+    const body = query.slice(open + 1, matchingBrace(query, open));
+    const nodes = [...body.matchAll(/\bnodes\s*\{/g)].find(m => braceDepth(body, m.index) === 0);
+    if (!nodes) continue;
+    const nodesOpen = nodes.index + nodes[0].length - 1;
+    connections[match[1]] = body.slice(nodesOpen + 1, matchingBrace(body, nodesOpen));
+  }
+  return connections;
+}
+
+// Objects with an id whose nested connection stopped at its `first:` limit
+function truncatedConnections(nodes, connections, found = []) {
+  for (const node of nodes) {
+    if (!node || typeof node !== 'object') continue;
+    for (const [field, value] of Object.entries(node)) {
+      if (connections[field] && node.id && value?.pageInfo?.hasNextPage) found.push({ node, field });
+      if (Array.isArray(value)) truncatedConnections(value, connections, found);
+      else if (Array.isArray(value?.nodes)) truncatedConnections(value.nodes, connections, found);
+    }
+  }
+  return found;
+}
+
+// Page through every nested connection that has more children than the source query asked for,
+// appending them to the node in place so transformToTable sees the whole connection.
+async function fetchRemainingChildren(url, accessToken, query, nodes, { throttle } = {}) {
+  const connections = nestedConnections(query);
+  let pending = truncatedConnections(nodes, connections);
+
+  while (pending.length > 0) {
+    const added = [];
+    for (const { node, field } of pending) {
+      // gid://shopify/Order/123 -> Order
+      const type = node.id.split('/')[3];
+      const childQuery = `
+        query($id: ID!, $first: Int!, $after: String) {
+          node(id: $id) {
+            ... on ${type} {
+              ${field}(first: $first, after: $after) {
+                pageInfo { hasNextPage endCursor }
+                nodes { ${connections[field]} }
+              }
+            }
+          }
+        }
+      `;
+
+      let { pageInfo } = node[field];
+      while (pageInfo?.hasNextPage) {
+        const variables = { id: node.id, first: CHILD_PAGE_SIZE, after: pageInfo.endCursor };
+        const data = await shopifyGraphQL(url, accessToken, { query: childQuery, variables }, { throttle });
+        const connection = data.node?.[field];
+        if (!connection) throw new Error(`Could not page through ${field} of ${node.id}`);
+        node[field].nodes.push(...connection.nodes);
+        added.push(...connection.nodes);
+        pageInfo = connection.pageInfo;
+      }
+      node[field].pageInfo = pageInfo;
+    }
+    // Children fetched here can have truncated connections of their own
+    pending = truncatedConnections(added, connections);
+  }
+}
+
+module.exports = { nestedConnections, fetchRemainingChildren };
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { shopUrl } = require('./shopify');
+
+const DEFAULT_SCOPES = ['read_orders', 'read_products', 'read_customers', 'read_inventory', 'read_locations'];
+
+// Access scope each table's GraphQL source needs; tables not listed need none
+const tableScopes = {
+  orders: 'read_orders',
+  order_line_items: 'read_orders',
+  order_refunds: 'read_orders',
+  order_transactions: 'read_orders',
+  order_fulfillments: 'read_orders',
+  order_discount_applications: 'read_orders',
+  products: 'read_products',
+  product_variants: 'read_products',
+  collections: 'read_products',
+  customers: 'read_customers',
+  inventory_items: 'read_inventory',
+  inventory_levels: 'read_inventory',
+  locations: 'read_locations',
+  product_metafields: 'read_products',
+  variant_metafields: 'read_products',
+  customer_metafields: 'read_customers',
+  order_metafields: 'read_orders',
+  collection_metafields: 'read_products'
+};
+
+function requestedScopes() {
+  const configured = process.env.SHOPIFY_SCOPES;
+  return configured ? configured.split(',').map(s => s.trim()).filter(Boolean) : DEFAULT_SCOPES;
+}
+
+function isValidShopDomain(shop) {
+  return typeof shop === 'string' && /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/.test(shop);
+}
+
+// write_x implies read_x
+function grantedScopeSet(granted) {
+  const set = new Set();
+  for (const scope of granted || []) {
+    set.add(scope);
+    if (scope.startsWith('write_')) set.add(`read_${scope.slice(6)}`);
+  }
+  return set;
+}
+
+function missingScopes(granted) {
+  const set = grantedScopeSet(granted);
+  return [...new Set(Object.values(tableScopes))].filter(scope => !set.has(scope));
+}
+
+// Tables whose required scope wasn't granted, with the scope each one is missing
+function unavailableTables(granted) {
+  const set = grantedScopeSet(granted);
+  return Object.entries(tableScopes)
+    .filter(([, scope]) => !set.has(scope))
+    .map(([table, scope]) => ({ table, scope }));
+}
+
+function buildInstallUrl(shop, { redirectUri, state }) {
+  const params = new URLSearchParams({
+    client_id: process.env.SHOPIFY_API_KEY,
+    scope: requestedScopes().join(','),
+    redirect_uri: redirectUri,
+    state
+  });
+  return `${shopUrl(shop)}/admin/oauth/authorize?${params}`;
+}
+
+// Shopify signs the callback query: every parameter except hmac, sorted, joined as k=v&k=v
+function verifyHmac(query, secret) {
+  const { hmac, signature, ...params } = query;
+  if (typeof hmac !== 'string' || !secret) return false;
+
+  const message = Object.keys(params)
+    .sort()
+    .map(key => `${key}=${Array.isArray(params[key]) ? params[key].join(',') : params[key]}`)
+    .join('&');
+  const digest = crypto.createHmac('sha256', secret).update(message).digest('hex');
+
+  const expected = Buffer.from(digest, 'utf8');
+  const received = Buffer.from(hmac, 'utf8');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Callbacks are signed with the time Shopify sent them; a replayed or long-delayed one is refused.
+// A minute of clock skew is allowed the other way.
+const CALLBACK_MAX_AGE_SECONDS = 300;
+
+function isRecentCallback(timestamp, now = Date.now()) {
+  const sent = Number(timestamp);
+  if (!Number.isInteger(sent)) return false;
+  const age = now / 1000 - sent;
+  return age <= CALLBACK_MAX_AGE_SECONDS && age >= -60;
+}
+
+// Exchange the authorization code for an offline access token
+async function exchangeCodeForToken(shop, code) {
+  const response = await axios.post(`${shopUrl(shop)}/admin/oauth/access_token`, {
+    client_id: process.env.SHOPIFY_API_KEY,
+    client_secret: process.env.SHOPIFY_API_SECRET,
+    code
+  }, {
+    headers: { 'Content-Type': 'application/json' }
+  });
+
+  const { access_token: accessToken, scope } = response.data;
+  if (!accessToken) throw new Error('Shopify did not return an access token');
+  return { accessToken, scopes: scope ? scope.split(',') : [] };
+}
+
+// Base URL the OAuth callback is registered under
+function appUrl(req) {
+  if (process.env.APP_URL) return process.env.APP_URL.replace(/\/$/, '');
+  const proto = req.headers['x-forwarded-proto'] || 'https';
+  return `${proto}://${req.headers.host}`;
+}
+
+module.exports = {
+  tableScopes,
+  requestedScopes,
+  isValidShopDomain,
+  missingScopes,
+  unavailableTables,
+  buildInstallUrl,
+  verifyHmac,
+  isRecentCallback,
+  exchangeCodeForToken,
+  appUrl
+};
@@ -0,0 +1,102 @@
+const alasql = require('alasql');
+const { parse, Kind } = require('graphql');
+
+// Query plans for EXPLAIN: which tables a statement reads, what each Shopify request costs,
+// and what alasql does with the rows afterwards. Nothing here talks to Shopify.
+
+// Every table a statement reads (FROM, JOIN, subqueries, CTE bodies), from the parsed statement
+// rather than the text, so names in literals and comments don't count. CTE names are left out.
+function queryTables(sql) {
+  const tables = new Set();
+  const ctes = new Set();
+  const walk = (node) => {
+    if (!node || typeof node !== 'object') return;
+    if (node instanceof alasql.yy.Table && node.tableid) tables.add(node.tableid);
+    if (node instanceof alasql.yy.WithSelect) node.withs.forEach(w => ctes.add(w.name));
+    Object.values(node).forEach(walk);
+  };
+  alasql.parse(sql).statements.forEach(walk);
+  return [...tables].filter(t => !ctes.has(t));
+}
+
+// The statement after a leading EXPLAIN, or null when there isn't one. The keyword is blanked
+// rather than cut, so parse error positions still match the SQL as written.
+function explainStatement(sql) {
+  const match = sql.match(/^\s*explain\b/i);
+  return match ? match[0].replace(/[^\n]/g, ' ') + sql.slice(match[0].length) : null;
+}
+
+function argumentValue(node, variables) {
+  if (!node) return null;
+  if (node.kind === Kind.VARIABLE) return variables[node.name.value] ?? null;
+  if (node.kind === Kind.INT) return parseInt(node.value, 10);
+  return null;
+}
+
+// Shopify's requested cost, from its published rules: scalars are free, objects cost 1, and a
+// connection costs 2 plus `first` times the cost of one node (so nested connections multiply).
+// It's an upper bound: Shopify charges the actual cost, which counts only the objects returned.
+function selectionCost(selectionSet, variables) {
+  let cost = 0;
+  for (const field of selectionSet?.selections || []) {
+    if (!field.selectionSet) continue;
+    if (field.kind === Kind.INLINE_FRAGMENT) {
+      cost += selectionCost(field.selectionSet, variables);
+      continue;
+    }
+    const first = field.arguments.find(a => a.name.value === 'first' || a.name.value === 'last');
+    if (!first) {
+      cost += 1 + selectionCost(field.selectionSet, variables);
+      continue;
+    }
+    const size = argumentValue(first.value, variables) || 0;
+    for (const child of field.selectionSet.selections) {
+      if (child.name.value === 'nodes') cost += size * (1 + selectionCost(child.selectionSet, variables));
+      else if (child.name.value === 'edges') cost += size * selectionCost(child.selectionSet, variables);
+      else if (child.selectionSet) cost += 1 + selectionCost(child.selectionSet, variables);
+    }
+    cost += 2;
+  }
+  return cost;
+}
+
+function estimateQueryCost(query, variables = {}) {
+  const operation = parse(query).definitions.find(d => d.kind === Kind.OPERATION_DEFINITION);
+  return selectionCost(operation.selectionSet, variables);
+}
+
+// What alasql does once the tables are loaded, in the order it does it. Predicates already sent to
+// Shopify are checked again here, since the search only has to return a superset.
+function memoryPlan(sql, pushdown = {}) {
+  const { statements } = alasql.parse(sql);
+  let select = statements[0];
+  if (select instanceof alasql.yy.WithSelect) select = select.select;
+  if (statements.length !== 1 || !(select instanceof alasql.yy.Select)) return [];
+
+  const pushed = new Set(Object.values(pushdown).flatMap(p => p.predicates));
+  const conjuncts = (node) => {
+    if (node instanceof alasql.yy.UniOp && !node.op) return conjuncts(node.right);
+    if (node instanceof alasql.yy.Op && node.op === 'AND') return [...conjuncts(node.left), ...conjuncts(node.right)];
+    return [node];
+  };
+
+  const steps = [];
+  for (const join of select.joins || []) {
+    const target = join.table ? join.table.tableid : 'subquery';
+    steps.push({ step: 'join', detail: `${join.joinmode || 'INNER'} JOIN ${target}${join.as ? ` ${join.as}` : ''}${join.on ? ` ON ${join.on}` : ''}` });
+  }
+  if (select.where) {
+    for (const predicate of conjuncts(select.where.expression)) {
+      const text = predicate.toString();
+      steps.push({ step: 'filter', detail: text, pushed: pushed.has(text) });
+    }
+  }
+  if (select.group) steps.push({ step: 'group', detail: `GROUP BY ${select.group.join(', ')}` });
+  if (select.having) steps.push({ step: 'filter', detail: `HAVING ${select.having}`, pushed: false });
+  if (select.distinct) steps.push({ step: 'distinct', detail: 'DISTINCT' });
+  if (select.order) steps.push({ step: 'sort', detail: `ORDER BY ${select.order.join(', ')}` });
+  if (select.limit) steps.push({ step: 'limit', detail: `LIMIT ${select.limit.value}${select.offset ? ` OFFSET ${select.offset.value}` : ''}` });
+  return steps;
+}
+
+module.exports = { explainStatement, queryTables, estimateQueryCost, memoryPlan };
@@ -0,0 +1,236 @@
+const alasql = require('alasql');
+
+// Columns that can be translated into Shopify's `query:` search syntax, per table.
+// kind controls which operators are allowed and how literals are normalized.
+const searchFields = {
+  orders: {
+    created_at: { field: 'created_at', kind: 'date' },
+    updated_at: { field: 'updated_at', kind: 'date' },
+    processed_at: { field: 'processed_at', kind: 'date' },
+    financial_status: { field: 'financial_status', kind: 'enum' },
+    email: { field: 'email', kind: 'string' },
+    order_number: { field: 'name', kind: 'string' },
+    tags: { field: 'tag', kind: 'string' },
+    source_name: { field: 'source_name', kind: 'string' },
+    customer_id: { field: 'customer_id', kind: 'string' }
+  },
+  order_line_items: {
+    order_number: { field: 'name', kind: 'string' },
+    sku: { field: 'sku', kind: 'string' }
+  },
+  // Order child tables filter the orders they're read from, so only order-level fields apply
+  order_refunds: {
+    order_number: { field: 'name', kind: 'string' }
+  },
+  order_transactions: {
+    order_number: { field: 'name', kind: 'string' }
+  },
+  order_fulfillments: {
+    order_number: { field: 'name', kind: 'string' },
+    order_created_at: { field: 'created_at', kind: 'date' }
+  },
+  order_discount_applications: {
+    order_number: { field: 'name', kind: 'string' }
+  },
+  products: {
+    title: { field: 'title', kind: 'string' },
+    handle: { field: 'handle', kind: 'string' },
+    vendor: { field: 'vendor', kind: 'string' },
+    product_type: { field: 'product_type', kind: 'string' },
+    tags: { field: 'tag', kind: 'string' },
+    status: { field: 'status', kind: 'enum' },
+    created_at: { field: 'created_at', kind: 'date' },
+    updated_at: { field: 'updated_at', kind: 'date' },
+    published_at: { field: 'published_at', kind: 'date' }
+  },
+  product_variants: {
+    product_title: { field: 'title', kind: 'string' },
+    sku: { field: 'sku', kind: 'string' },
+    barcode: { field: 'barcode', kind: 'string' }
+  },
+  customers: {
+    email: { field: 'email', kind: 'string' },
+    first_name: { field: 'first_name', kind: 'string' },
+    last_name: { field: 'last_name', kind: 'string' },
+    phone: { field: 'phone', kind: 'string' },
+    state: { field: 'state', kind: 'enum' },
+    tags: { field: 'tag', kind: 'string' },
+    country: { field: 'country', kind: 'string' },
+    orders_count: { field: 'orders_count', kind: 'number' },
+    total_spent: { field: 'total_spent', kind: 'number' },
+    created_at: { field: 'created_at', kind: 'date' },
+    updated_at: { field: 'updated_at', kind: 'date' }
+  },
+  collections: {
+    title: { field: 'title', kind: 'string' },
+    handle: { field: 'handle', kind: 'string' },
+    updated_at: { field: 'updated_at', kind: 'date' }
+  },
+  inventory_items: {
+    sku: { field: 'sku', kind: 'string' },
+    created_at: { field: 'created_at', kind: 'date' },
+    updated_at: { field: 'updated_at', kind: 'date' }
+  }
+};
+
+// Strict bounds are widened so the search stays a superset at the exact boundary
+const rangeOps = { '>': '>=', '>=': '>=', '<': '<=', '<=': '<=' };
+
+// Split a WHERE expression into its top-level AND conjuncts
+function splitConjuncts(node) {
+  if (node instanceof alasql.yy.UniOp && !node.op) return splitConjuncts(node.right);
+  if (node instanceof alasql.yy.Op && node.op === 'AND') {
+    return [...splitConjuncts(node.left), ...splitConjuncts(node.right)];
+  }
+  return [node];
+}
+
+// Bound parameters (:name) count as literals once their values are known
+function literalValue(node, params = {}) {
+  if (node instanceof alasql.yy.StringValue) return node.value;
+  if (node instanceof alasql.yy.ParamValue) {
+    const value = params[node.param];
+    return typeof value === 'string' || typeof value === 'number' ? value : undefined;
+  }
+  if (node instanceof alasql.yy.NumValue) return node.value;
+  if (node instanceof alasql.yy.UniOp && node.op === '-' && node.right instanceof alasql.yy.NumValue) {
+    return -node.right.value;
+  }
+  return undefined;
+}
+
+function quoteSearchValue(value) {
+  const str = String(value);
+  if (/^[\w.@-]+$/.test(str)) return str;
+  return `"${str.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// Normalize a literal for a field kind; returns undefined when it can't be pushed safely
+function normalizeValue(value, kind) {
+  if (value === undefined) return undefined;
+  switch (kind) {
+    case 'date':
+      if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(value)) return undefined;
+      // Date-only literals are compared as UTC midnight, matching the ISO strings alasql sees
+      return /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00Z` : value;
+    case 'number':
+      return typeof value === 'number' ? value : undefined;
+    case 'enum':
+      return typeof value === 'string' ? value.toLowerCase() : undefined;
+    default:
+      return typeof value === 'string' || typeof value === 'number' ? value : undefined;
+  }
+}
+
+// Translate one predicate into a search term, or null if it has to stay in alasql
+function translatePredicate(node, spec, params) {
+  const { field, kind } = spec;
+  const term = (op, value) => `${field}:${op}${quoteSearchValue(value)}`;
+
+  if (node.op === 'BETWEEN') {
+    if (kind !== 'date' && kind !== 'number') return null;
+    const low = normalizeValue(literalValue(node.right1, params), kind);
+    const high = normalizeValue(literalValue(node.right2, params), kind);
+    if (low === undefined || high === undefined) return null;
+    return `${term('>=', low)} ${term('<=', high)}`;
+  }
+
+  if (node.op === 'IN') {
+    if (kind === 'date' || !Array.isArray(node.right) || node.right.length === 0) return null;
+    const values = node.right.map(v => normalizeValue(literalValue(v, params), kind));
+    if (values.some(v => v === undefined)) return null;
+    return values.length === 1 ? term('', values[0]) : `(${values.map(v => term('', v)).join(' OR ')})`;
+  }
+
+  if (node.op === 'LIKE') {
+    // Only simple prefix patterns map onto Shopify's trailing wildcard
+    const pattern = literalValue(node.right, params);
+    if (kind !== 'string' || typeof pattern !== 'string') return null;
+    const match = pattern.match(/^([\w-]+)%$/);
+    return match ? `${field}:${match[1]}*` : null;
+  }
+
+  const value = normalizeValue(literalValue(node.right, params), kind);
+  if (value === undefined) return null;
+
+  if (node.op === '=' || node.op === '==') {
+    return kind === 'date' ? null : term('', value);
+  }
+  if (rangeOps[node.op]) {
+    return kind === 'date' || kind === 'number' ? term(rangeOps[node.op], value) : null;
+  }
+  if (node.op === '!=' || node.op === '<>') {
+    // Shopify search is case-insensitive, so exclusions are only safe for upper-case enum literals
+    const raw = literalValue(node.right, params);
+    return kind === 'enum' && raw === String(raw).toUpperCase() ? `-${term('', value)}` : null;
+  }
+  return null;
+}
+
+// Every table node in the statement, including FROM lists, joins and subqueries.
+// The same node can be reachable from more than one parent, so each is counted once.
+function tableReferences(statement) {
+  const found = new Set();
+  const walk = (node) => {
+    if (!node || typeof node !== 'object') return;
+    if (node instanceof alasql.yy.Table && node.tableid) found.add(node);
+    Object.values(node).forEach(walk);
+  };
+  walk(statement);
+  return [...found];
+}
+
+// Build per-table Shopify search strings from the WHERE clause of a SELECT.
+// Pushed predicates are still evaluated by alasql, so the search only has to return a superset.
+function planPushdown(sql, tables, params = {}) {
+  const plan = {};
+  let statement;
+  try {
+    const parsed = alasql.parse(sql);
+    if (parsed.statements.length !== 1) return plan;
+    statement = parsed.statements[0];
+  } catch {
+    return plan;
+  }
+
+  if (!(statement instanceof alasql.yy.Select) || !statement.where) return plan;
+
+  const aliases = {};
+  const sources = [
+    ...(statement.from || []).map(f => ({ tableid: f.tableid, as: f.as })),
+    ...(statement.joins || []).map(j => ({ tableid: j.table?.tableid, as: j.as }))
+  ].filter(s => s.tableid);
+  sources.forEach(s => { aliases[s.as || s.tableid] = s.tableid; aliases[s.tableid] = s.tableid; });
+
+  // A table referenced more than once (self joins, comma joins, subqueries) shares one dataset,
+  // so leave it alone. References are counted in the parsed statement, not the text.
+  const references = tableReferences(statement);
+  const referenceCount = table => references.filter(t => t.tableid === table).length;
+
+  for (const conjunct of splitConjuncts(statement.where.expression)) {
+    const column = conjunct.left;
+    if (!(conjunct instanceof alasql.yy.Op) || !(column instanceof alasql.yy.Column)) continue;
+
+    let table;
+    if (column.tableid) {
+      table = aliases[column.tableid];
+    } else if (sources.length === 1) {
+      table = sources[0].tableid;
+    }
+    if (!table || !tables.includes(table) || referenceCount(table) !== 1) continue;
+
+    const spec = searchFields[table]?.[column.columnid];
+    if (!spec) continue;
+
+    const term = translatePredicate(conjunct, spec, params);
+    if (!term) continue;
+
+    plan[table] = plan[table] || { search: '', predicates: [] };
+    plan[table].predicates.push(conjunct.toString());
+    plan[table].search = plan[table].search ? `${plan[table].search} AND ${term}` : term;
+  }
+
+  return plan;
+}
+
+module.exports = { planPushdown, searchFields };
@@ -0,0 +1,187 @@
+const alasql = require('alasql');
+const { withShopTimezones, withPercentiles } = require('./functions');
+
+// The only table functions a query may read from. alasql's others (CSV, JSONL, FILE, ...) read
+// files, URLs or other databases, and new ones arrive with alasql releases, so it's an allow-list.
+const tableFunctions = ['RANGE', 'UNNEST'];
+
+// Column names that collide with alasql keywords (STORE, VALUE); bare references get bracket-quoted
+const reservedColumns = ['store', 'value'];
+// Parameters are bracket-quoted too (:[value]), so they can be named like any column
+const parameterPattern = /(?<![\w:]):([A-Za-z_]\w*)/g;
+const reservedPattern = new RegExp(`${parameterPattern.source}|\\b(${reservedColumns.join('|')})\\b`, 'gi');
+
+// String literals, quoted identifiers and comments, or a run of SQL code between them
+const sqlTokens = /('(?:[^']|'')*'|"(?:[^"]|"")*"|`[^`]*`|\[[^\]]*\]|--[^\n]*|\/\*[\s\S]*?\*\/)|([^'"`[\-/]+|[\-/])/g;
+
+// Quote reserved column names and parameters outside string literals, quoted identifiers and comments.
+// The inserted brackets are recorded in `edits`, when given, for sourceOffset.
+function quoteReservedColumns(sql, edits) {
+  return sql.replace(sqlTokens, (match, quoted, code, offset) => quoted || code.replace(reservedPattern,
+    (reserved, parameter, column, at) => {
+      const start = offset + at + (parameter ? 1 : 0);
+      edits?.push({ at: start, removed: 0, inserted: 1 }, { at: offset + at + reserved.length, removed: 0, inserted: 1 });
+      return parameter ? `:[${parameter}]` : `[${column}]`;
+    }));
+}
+
+// An offset in rewritten SQL back in the SQL it was rewritten from. `edits` are the rewrite's
+// { at, removed, inserted } in order, `at` in the original; an offset inside an edit maps into it.
+function sourceOffset(offset, edits) {
+  let shift = 0;
+  for (const { at, removed, inserted } of edits) {
+    const start = at + shift;
+    if (offset < start) break;
+    if (offset < start + inserted) return at + Math.min(offset - start, removed);
+    shift += inserted - removed;
+  }
+  return offset - shift;
+}
+
+// Named parameters (:start_date, :vendor) the SQL uses, outside literals and comments.
+// Reads the SQL as written, before quoteReservedColumns.
+function queryParameters(sql) {
+  const names = new Set();
+  for (const [, , code] of sql.matchAll(sqlTokens)) {
+    for (const [, name] of (code || '').matchAll(parameterPattern)) names.add(name);
+  }
+  return [...names];
+}
+
+// Values for the query's parameters, bound by alasql rather than spliced into the SQL.
+// Every parameter needs a value, and only plain strings, numbers, booleans and nulls are accepted.
+function bindParameters(sql, params = {}) {
+  const bound = {};
+  for (const name of queryParameters(sql)) {
+    if (!params || !Object.prototype.hasOwnProperty.call(params, name)) {
+      throw new Error(`Missing value for parameter :${name}`);
+    }
+    const value = params[name];
+    if (value !== null && !['string', 'number', 'boolean'].includes(typeof value)) {
+      throw new Error(`Parameter :${name} must be a string, number, boolean or null`);
+    }
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+      throw new Error(`Parameter :${name} must be a finite number`);
+    }
+    bound[name] = value;
+  }
+  return bound;
+}
+
+// Leading keywords of a statement, e.g. "DROP TABLE" or "INSERT INTO"
+function statementName(statement) {
+  let text = '';
+  try {
+    text = statement.toString().trim().toUpperCase();
+  } catch {
+    // Some statement nodes can't print themselves
+  }
+  const match = text.match(/^[A-Z]+(\s+(TABLE|INTO|FROM|DATABASE|INDEX|VIEW|TRIGGER))?/);
+  return match ? match[0] : 'a non-SELECT statement';
+}
+
+// Walk the whole AST (subqueries, joins, CTEs) for anything that escapes the in-memory tables
+function findViolation(node) {
+  if (!node || typeof node !== 'object') return null;
+
+  if (node instanceof alasql.yy.JavaScript) return 'Inline JavaScript is not allowed';
+  if (node instanceof alasql.yy.Select && node.into) return 'SELECT INTO is not allowed';
+  if (node instanceof alasql.yy.Table && node.databaseid) {
+    return `Database-qualified table ${node.databaseid}.${node.tableid} is not allowed`;
+  }
+  if (node instanceof alasql.yy.Select) {
+    const called = [...(node.from || []), ...(node.joins || []).map(join => join.func)];
+    for (const source of called) {
+      if (typeof source?.funcid === 'string' && !tableFunctions.includes(source.funcid.toUpperCase())) {
+        return `${source.funcid.toUpperCase()}() cannot be used as a table (only ${tableFunctions.map(f => `${f}()`).join(' and ')} can)`;
+      }
+    }
+  }
+  // Table and INTO functions anywhere else, e.g. in a subquery's expression
+  if (typeof node.funcid === 'string') {
+    const name = node.funcid.toUpperCase();
+    if (!tableFunctions.includes(name) && (alasql.from[name] || alasql.into[name])) return `${name}() cannot be used in queries`;
+  }
+
+  for (const value of Object.values(node)) {
+    const violation = findViolation(value);
+    if (violation) return violation;
+  }
+  return null;
+}
+
+// Only read-only SELECT / WITH statements may run; throws with a user-facing message otherwise
+function validateQuery(sql) {
+  const { statements } = alasql.parse(sql);
+
+  for (const statement of statements) {
+    if (!(statement instanceof alasql.yy.Select) && !(statement instanceof alasql.yy.WithSelect)) {
+      throw new Error(`Only SELECT and WITH queries are allowed (found ${statementName(statement)})`);
+    }
+    const violation = findViolation(statement);
+    if (violation) throw new Error(violation);
+  }
+}
+
+// Where an alasql parse error happened, as an offset in `sql`, or null.
+// The message shows up to 20 characters either side of the error with newlines removed and a caret
+// under it (its own line number is unreliable), so the snippet is found in the SQL with newlines removed.
+function parseErrorOffset(sql, message) {
+  const match = String(message).match(/^Parse error on line \d+:\n(.*)\n(-*)\^/);
+  if (!match) return null;
+  let [, snippet, { length: caret }] = match;
+  if (snippet.startsWith('...')) {
+    snippet = snippet.slice(3);
+    caret -= 3;
+  }
+  if (snippet.endsWith('...')) snippet = snippet.slice(0, -3);
+
+  const offsets = [];
+  let flat = '';
+  for (let i = 0; i < sql.length; i++) {
+    if (sql[i] === '\n') continue;
+    offsets.push(i);
+    flat += sql[i];
+  }
+  const start = flat.indexOf(snippet);
+  if (start === -1) return null;
+  return start + caret < offsets.length ? offsets[start + caret] : sql.length;
+}
+
+// A parse error in `sql`, the SQL after the rewrites above, told in terms of `source`, the SQL as written:
+// { location: { line, column } (both 1-based), message } with the message's snippet taken from `source`.
+// `toSource` maps an offset in `sql` to `source`. Null when the error isn't a parse error that can be placed.
+function sourceParseError(sql, message, source = sql, toSource = offset => offset) {
+  const found = parseErrorOffset(sql, message);
+  if (found == null) return null;
+  const offset = Math.min(toSource(found), source.length);
+  const before = source.slice(0, offset).split('\n');
+  const line = before.length;
+
+  // Quoted the way alasql quotes its own input
+  const past = source.slice(0, offset);
+  const pre = (past.length > 20 ? '...' : '') + past.slice(-20).replace(/\n/g, '');
+  const next = (source.slice(offset, offset + 20) + (source.length > offset + 20 ? '...' : '')).replace(/\n/g, '');
+  return {
+    location: { line, column: before[line - 1].length + 1 },
+    message: String(message).replace(/^Parse error on line \d+:\n.*\n-*\^/, `Parse error on line ${line}:\n${pre}${next}\n${'-'.repeat(pre.length)}^`)
+  };
+}
+
+// Run the query in a throwaway database that holds only this request's tables.
+// `timezones` ({ zone, stores }) is what the date functions read timestamps in.
+// PERCENTILE calls run as one aggregate per fraction (see lib/functions.js).
+function runQuery(sql, tableData, params = {}, { timezones } = {}) {
+  const db = new alasql.Database();
+  try {
+    for (const [tableName, data] of Object.entries(tableData)) {
+      db.exec(`CREATE TABLE ${tableName}`);
+      db.tables[tableName].data = data;
+    }
+    return withShopTimezones(timezones, () => withPercentiles(sql, params, rewritten => db.exec(rewritten, params)));
+  } finally {
+    delete alasql.databases[db.databaseid];
+  }
+}
+
+module.exports = { quoteReservedColumns, sourceOffset, queryParameters, bindParameters, validateQuery, sourceParseError, runQuery };
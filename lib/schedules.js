@@ -0,0 +1,109 @@
+const os = require('os');
+const path = require('path');
+const { parseCron } = require('./cron');
+const { fileDocuments, sqliteDocuments } = require('./documents');
+
+const SNAPSHOT_RETENTION = parseInt(process.env.SNAPSHOT_RETENTION, 10) || 90;
+
+// A schedule is { name, sql, cron, maxRows, storeName, credentials, createdAt, lastRunAt, lastError };
+// `credentials` is the store's token sealed like a session cookie. Each run keeps a snapshot
+// { takenAt, rows }; the newest SNAPSHOT_RETENTION per schedule are kept.
+// The store exposes async listSchedules / getSchedule / saveSchedule / deleteSchedule / addSnapshot / listSnapshots.
+
+// Names end up in table names (snapshot_<name>) and file names
+function validScheduleName(name) {
+  return typeof name === 'string' && /^[a-z][a-z0-9_]{0,62}$/.test(name);
+}
+
+function validateSchedule({ name, sql, cron }) {
+  if (!validScheduleName(name)) throw new Error('Schedule names use lowercase letters, digits and underscores, starting with a letter');
+  if (!sql || typeof sql !== 'string') throw new Error('Missing SQL query');
+  parseCron(cron);
+}
+
+// Schedules and each schedule's snapshots are document collections (lib/documents.js):
+// schedules/<name> and snapshots/<name>/<timestamp>, as files or as SQLite rows
+function scheduleStore(collection) {
+  const schedules = collection('schedules');
+  const snapshots = name => collection(`snapshots/${name}`);
+
+  return {
+    async listSchedules() {
+      return schedules.list();
+    },
+    async getSchedule(name) {
+      return schedules.get(name);
+    },
+    async saveSchedule(schedule) {
+      await schedules.set(schedule.name, schedule);
+    },
+    async deleteSchedule(name) {
+      await schedules.delete(name);
+      await snapshots(name).clear();
+    },
+    async addSnapshot(name, snapshot) {
+      // ISO timestamps sort chronologically; colons aren't allowed in file names everywhere
+      const taken = snapshots(name);
+      await taken.set(snapshot.takenAt.replace(/:/g, '-'), snapshot);
+      const keys = await taken.keys();
+      await Promise.all(keys.slice(0, -SNAPSHOT_RETENTION).map(key => taken.delete(key)));
+    },
+    async listSnapshots(name) {
+      return snapshots(name).list();
+    }
+  };
+}
+
+// SCHEDULE_STORE picks the backend: fs (default) or sqlite; SCHEDULE_STORE_PATH overrides where it writes
+function createScheduleStore(backend = process.env.SCHEDULE_STORE || 'fs') {
+  const location = process.env.SCHEDULE_STORE_PATH;
+  switch (backend) {
+    case 'fs': {
+      const dir = location || path.join(os.homedir(), '.shopify-sql', 'schedules');
+      return scheduleStore(collection => fileDocuments(path.join(dir, collection)));
+    }
+    case 'sqlite': {
+      const filename = location || path.join(os.homedir(), '.shopify-sql', 'schedules.db');
+      return scheduleStore(collection => sqliteDocuments(filename, collection, 'SCHEDULE_STORE'));
+    }
+    default:
+      throw new Error(`Unknown SCHEDULE_STORE backend: ${backend}`);
+  }
+}
+
+// snapshot('low_stock') in FROM / JOIN becomes the table snapshot_low_stock. String literals and
+// comments are left alone; the name itself is a string literal, so it's matched before them.
+// Each rewrite is recorded in `edits`, when given, for sourceOffset (lib/sandbox.js).
+function snapshotTables(sql, edits) {
+  const names = new Set();
+  const rewritten = sql.replace(
+    /\bsnapshot\s*\(\s*'([^']*)'\s*\)|('(?:[^']|'')*'|"(?:[^"]|"")*"|--[^\n]*|\/\*[\s\S]*?\*\/)/gi,
+    (match, name, quoted, offset) => {
+      if (quoted) return quoted;
+      if (!validScheduleName(name)) throw new Error(`Invalid snapshot name: ${name}`);
+      names.add(name);
+      edits?.push({ at: offset, removed: match.length, inserted: `snapshot_${name}`.length });
+      return `snapshot_${name}`;
+    }
+  );
+  return { sql: rewritten, names: [...names] };
+}
+
+// Every snapshot of a schedule as one table, oldest first, with a snapshot_at column to tell runs apart
+function snapshotRows(snapshots) {
+  return snapshots.flatMap(({ takenAt, rows }) => rows.map(row => ({ snapshot_at: takenAt, ...row })));
+}
+
+// What the client may see: no sealed credentials
+function publicSchedule({ credentials, ...schedule }) {
+  return schedule;
+}
+
+module.exports = {
+  validScheduleName,
+  validateSchedule,
+  createScheduleStore,
+  snapshotTables,
+  snapshotRows,
+  publicSchedule
+};
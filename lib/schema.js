@@ -0,0 +1,86 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { buildClientSchema, getIntrospectionQuery, parse, validate, specifiedRules, NoDeprecatedCustomRule } = require('graphql');
+const { graphqlUrl, shopifyGraphQL } = require('./shopify');
+const { sources, sourceQuery } = require('./tables');
+
+// Admin API schemas by version, for checking the source queries before a connection uses them.
+// A checked-in schemas/<version>.json (an introspection result) wins; otherwise the schema is
+// introspected once and cached under SCHEMA_CACHE_PATH (default ~/.shopify-sql/schemas).
+
+const CHECKED_IN_DIR = path.join(__dirname, '..', 'schemas');
+const cacheDir = () => process.env.SCHEMA_CACHE_PATH || path.join(os.homedir(), '.shopify-sql', 'schemas');
+
+// Built schemas are kept for the life of the process
+const schemas = new Map();
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// The introspection result for `apiVersion`, from a file when there is one, otherwise from the store
+async function loadIntrospection(apiVersion, { storeName, accessToken } = {}) {
+  for (const dir of [CHECKED_IN_DIR, cacheDir()]) {
+    const saved = await readJson(path.join(dir, `${apiVersion}.json`));
+    if (saved) return saved.data || saved;
+  }
+  if (!storeName || !accessToken) throw new Error(`No saved schema for API version ${apiVersion}`);
+
+  const introspection = await shopifyGraphQL(graphqlUrl(storeName, apiVersion), accessToken, {
+    query: getIntrospectionQuery({ descriptions: false })
+  });
+  // Every store on a version shares its schema; a cache that can't be written just means introspecting again
+  try {
+    await fs.mkdir(cacheDir(), { recursive: true });
+    await fs.writeFile(path.join(cacheDir(), `${apiVersion}.json`), JSON.stringify(introspection));
+  } catch (error) {
+    console.error('Schema cache write failed:', error.message);
+  }
+  return introspection;
+}
+
+async function loadSchema(apiVersion, store) {
+  if (!schemas.has(apiVersion)) schemas.set(apiVersion, buildClientSchema(await loadIntrospection(apiVersion, store)));
+  return schemas.get(apiVersion);
+}
+
+// GraphQL's messages name the field; pull out Type.field so the report can list them
+function problemField(message) {
+  const missing = message.match(/Cannot query field "(\w+)" on type "(\w+)"/);
+  if (missing) return `${missing[2]}.${missing[1]}`;
+  const deprecated = message.match(/The field (\w+\.\w+) is deprecated/);
+  if (deprecated) return deprecated[1];
+  const argument = message.match(/Field "(\w+\.\w+)" argument "(\w+)" is deprecated/);
+  return argument ? `${argument[1]}(${argument[2]}:)` : null;
+}
+
+// Validate every source query, as sent on `apiVersion`, against that version's schema.
+// Deprecated fields still work but will go away; missing ones make the table fail to load.
+function checkSources(schema, apiVersion) {
+  const problems = [];
+  for (const source of Object.keys(sources)) {
+    const errors = validate(schema, parse(sourceQuery(source, apiVersion)), [...specifiedRules, NoDeprecatedCustomRule]);
+    for (const { message } of errors) {
+      problems.push({ source, kind: /is deprecated/.test(message) ? 'deprecated' : 'missing', field: problemField(message), message });
+    }
+  }
+  return problems;
+}
+
+// The report sent back on connect. A schema that can't be loaded doesn't block the connection.
+async function checkCompatibility(store, apiVersion) {
+  try {
+    const problems = checkSources(await loadSchema(apiVersion, store), apiVersion);
+    return { apiVersion, checked: true, ok: problems.every(p => p.kind !== 'missing'), problems };
+  } catch (error) {
+    return { apiVersion, checked: false, error: `Could not check the schema: ${error.message}` };
+  }
+}
+
+module.exports = { loadSchema, checkSources, checkCompatibility };
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+
+const SESSION_TTL_SECONDS = parseInt(process.env.SESSION_TTL_SECONDS, 10) || 86400;
+const VERSION = 'v1';
+
+// Any-length secrets are stretched to an AES-256 key
+function deriveKey(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest();
+}
+
+let ephemeralKey = null;
+
+// SESSION_SECRET encrypts new cookies; SESSION_SECRET_PREVIOUS still decrypts cookies issued before a rotation
+function sessionKeys() {
+  const keys = [process.env.SESSION_SECRET, process.env.SESSION_SECRET_PREVIOUS]
+    .filter(Boolean)
+    .map(deriveKey);
+
+  if (keys.length === 0) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('SESSION_SECRET is not configured');
+    }
+    if (!ephemeralKey) {
+      console.warn('SESSION_SECRET is not set; using a per-process key, sessions will not survive a restart');
+      ephemeralKey = crypto.randomBytes(32);
+    }
+    keys.push(ephemeralKey);
+  }
+
+  return keys;
+}
+
+// AES-256-GCM over the JSON payload plus an expiry claim: v1.<iv>.<ciphertext>.<tag>
+function encodeSession(data, ttlSeconds = SESSION_TTL_SECONDS) {
+  const [key] = sessionKeys();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(VERSION));
+
+  const payload = JSON.stringify({ ...data, exp: Math.floor(Date.now() / 1000) + ttlSeconds });
+  const ciphertext = Buffer.concat([cipher.update(payload, 'utf8'), cipher.final()]);
+
+  return [VERSION, iv, ciphertext, cipher.getAuthTag()]
+    .map(part => (typeof part === 'string' ? part : part.toString('base64url')))
+    .join('.');
+}
+
+// Returns the payload, or null for anything forged, tampered with, malformed or expired
+function decodeSession(encoded) {
+  if (!encoded) return null;
+  const parts = encoded.split('.');
+  if (parts.length !== 4 || parts[0] !== VERSION) return null;
+
+  const [, iv, ciphertext, tag] = parts.map(p => Buffer.from(p, 'base64url'));
+  if (iv.length !== 12 || tag.length !== 16) return null;
+
+  for (const key of sessionKeys()) {
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+      decipher.setAAD(Buffer.from(VERSION));
+      decipher.setAuthTag(tag);
+      const payload = JSON.parse(Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8'));
+
+      if (typeof payload.exp !== 'number' || payload.exp * 1000 <= Date.now()) return null;
+      return payload;
+    } catch {
+      // Wrong key or tampered ciphertext; try the next key
+    }
+  }
+
+  return null;
+}
+
+// A session holds every connected store plus the active one. Payloads issued before
+// multi-store workspaces carry a single storeName/accessToken pair.
+function sessionStores(session) {
+  if (!session) return [];
+  if (Array.isArray(session.stores)) return session.stores;
+  if (session.storeName && session.accessToken) {
+    return [{ storeName: session.storeName, accessToken: session.accessToken, scopes: session.scopes }];
+  }
+  return [];
+}
+
+function activeStore(session) {
+  const stores = sessionStores(session);
+  return stores.find(s => s.storeName === session?.active) || stores[0] || null;
+}
+
+// Adding a store that is already connected replaces its token and makes it active
+function addStore(session, store) {
+  const stores = sessionStores(session).filter(s => s.storeName !== store.storeName);
+  return { stores: [...stores, store], active: store.storeName };
+}
+
+function removeStore(session, storeName) {
+  const stores = sessionStores(session).filter(s => s.storeName !== storeName);
+  const active = activeStore(session)?.storeName;
+  return { stores, active: stores.some(s => s.storeName === active) ? active : stores[0]?.storeName };
+}
+
+// Store credentials saved with a scheduled query, sealed like a session but long-lived.
+// They're opened by the runner in another process, so a per-process key won't do.
+const CREDENTIALS_TTL_SECONDS = parseInt(process.env.SCHEDULE_CREDENTIALS_TTL_SECONDS, 10) || 365 * 86400;
+
+function sealCredentials({ storeName, accessToken, scopes, apiVersion }) {
+  if (!process.env.SESSION_SECRET) {
+    throw new Error('Scheduled queries and API keys need SESSION_SECRET set, so the saved credentials can be read back');
+  }
+  return encodeSession({ storeName, accessToken, scopes, apiVersion }, CREDENTIALS_TTL_SECONDS);
+}
+
+function openCredentials(sealed) {
+  const payload = decodeSession(sealed);
+  return payload ? { storeName: payload.storeName, accessToken: payload.accessToken, scopes: payload.scopes, apiVersion: payload.apiVersion } : null;
+}
+
+function parseCookies(cookieHeader) {
+  const cookies = {};
+  if (cookieHeader) {
+    cookieHeader.split(';').forEach(cookie => {
+      const [name, value] = cookie.trim().split('=');
+      if (name && value) cookies[name] = value;
+    });
+  }
+  return cookies;
+}
+
+// Browsers drop a cookie over 4 KB outright, which would disconnect every store at once
+const MAX_COOKIE_BYTES = 4096;
+
+function serializeCookie(name, value, req, maxAge = SESSION_TTL_SECONDS) {
+  if (Buffer.byteLength(`${name}=${value}`) > MAX_COOKIE_BYTES) {
+    throw new Error('Too many stores are connected to fit in the session cookie. Disconnect a store before adding another.');
+  }
+  const isProduction = process.env.NODE_ENV === 'production' || req.headers.host?.includes('vercel.app');
+  return `${name}=${value}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${isProduction ? '; Secure' : ''}`;
+}
+
+function clearCookie(name) {
+  return `${name}=; Path=/; HttpOnly; Max-Age=0`;
+}
+
+module.exports = {
+  encodeSession,
+  decodeSession,
+  sessionStores,
+  activeStore,
+  addStore,
+  removeStore,
+  sealCredentials,
+  openCredentials,
+  parseCookies,
+  serializeCookie,
+  clearCookie,
+  SESSION_TTL_SECONDS
+};
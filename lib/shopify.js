@@ -0,0 +1,171 @@
+const axios = require('axios');
+
+// The Admin API version used when a connection doesn't pick one; SHOPIFY_API_VERSION overrides it
+const API_VERSION = process.env.SHOPIFY_API_VERSION || '2024-10';
+const MAX_RETRIES = 5;
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 10000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function cleanStoreName(storeName) {
+  let cleaned = storeName
+    .trim()
+    .toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/\/$/, '')
+    .replace(/\/.*$/, '');
+  
+  if (!cleaned.includes('.myshopify.com') && !cleaned.includes('.')) {
+    cleaned = `${cleaned}.myshopify.com`;
+  }
+  
+  return cleaned;
+}
+
+// Shopify releases a version each quarter (2025-01, 2025-04, ...), plus `unstable`
+function isValidApiVersion(version) {
+  return typeof version === 'string' && /^(\d{4}-(01|04|07|10)|unstable)$/.test(version);
+}
+
+// Whether `version` is `since` or newer; `unstable` is newer than every release
+function apiVersionAtLeast(version, since) {
+  if (version === 'unstable') return true;
+  return version >= since;
+}
+
+// Where a shop's Admin API lives. SHOPIFY_BASE_URL (e.g. http://127.0.0.1:4000/{shop}) points
+// every request at another server, such as a mock one in tests.
+function shopUrl(shop) {
+  return (process.env.SHOPIFY_BASE_URL || 'https://{shop}').replace('{shop}', shop);
+}
+
+function graphqlUrl(storeName, apiVersion = API_VERSION) {
+  return `${shopUrl(storeName)}/admin/api/${apiVersion}/graphql.json`;
+}
+
+// Tracks the store's leaky-bucket state from `extensions.cost.throttleStatus`.
+// One throttle is shared by every request made for the same store within a query.
+function createThrottle() {
+  return {
+    maximumAvailable: null,
+    currentlyAvailable: null,
+    restoreRate: null,
+    observedAt: 0,
+    lastRequestedCost: 0,
+    requests: 0,
+    requestedCost: 0,
+    actualCost: 0,
+    retries: 0,
+    waitedMs: 0
+  };
+}
+
+// Milliseconds to wait until the bucket holds `cost` points again
+function throttleDelay(throttle, cost = throttle.lastRequestedCost) {
+  if (throttle.currentlyAvailable == null || !throttle.restoreRate) return 0;
+  const elapsed = (Date.now() - throttle.observedAt) / 1000;
+  const available = Math.min(
+    throttle.maximumAvailable ?? Infinity,
+    throttle.currentlyAvailable + elapsed * throttle.restoreRate
+  );
+  if (available >= cost) return 0;
+  return Math.ceil(((cost - available) / throttle.restoreRate) * 1000);
+}
+
+function recordCost(throttle, cost) {
+  if (!cost) return;
+  throttle.lastRequestedCost = cost.requestedQueryCost ?? throttle.lastRequestedCost;
+  // Throttled attempts report no actual cost and aren't charged
+  if (cost.actualQueryCost != null) {
+    throttle.requestedCost += cost.requestedQueryCost || 0;
+    throttle.actualCost += cost.actualQueryCost;
+  }
+  const status = cost.throttleStatus;
+  if (status) {
+    throttle.maximumAvailable = status.maximumAvailable;
+    throttle.currentlyAvailable = status.currentlyAvailable;
+    throttle.restoreRate = status.restoreRate;
+    throttle.observedAt = Date.now();
+  }
+}
+
+function isTransient(error) {
+  const status = error.response?.status;
+  if (status) return status === 429 || status >= 500;
+  return ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'ENOTFOUND'].includes(error.code);
+}
+
+function backoffDelay(attempt, error) {
+  const retryAfter = parseFloat(error?.response?.headers?.['retry-after']);
+  if (retryAfter > 0) return retryAfter * 1000;
+  const delay = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt);
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+// POST a GraphQL request, waiting for bucket capacity first and retrying
+// THROTTLED responses, HTTP 429 and 5xx with exponential backoff.
+async function shopifyGraphQL(url, accessToken, body, { throttle = createThrottle(), maxRetries = MAX_RETRIES } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const wait = throttleDelay(throttle);
+    if (wait > 0) {
+      throttle.waitedMs += wait;
+      await sleep(wait);
+    }
+
+    let response;
+    try {
+      throttle.requests++;
+      response = await axios.post(url, body, {
+        headers: {
+          'X-Shopify-Access-Token': accessToken,
+          'Content-Type': 'application/json'
+        }
+      });
+    } catch (error) {
+      if (attempt < maxRetries && isTransient(error)) {
+        const delay = backoffDelay(attempt, error);
+        throttle.retries++;
+        throttle.waitedMs += delay;
+        await sleep(delay);
+        continue;
+      }
+      throw error;
+    }
+
+    recordCost(throttle, response.data.extensions?.cost);
+
+    const errors = response.data.errors;
+    if (errors?.length) {
+      const throttled = errors.some(e => e.extensions?.code === 'THROTTLED');
+      if (throttled && attempt < maxRetries) {
+        // The bucket state in extensions tells the next attempt how long to wait; without it, back off
+        throttle.retries++;
+        if (!throttleDelay(throttle)) {
+          const delay = backoffDelay(attempt);
+          throttle.waitedMs += delay;
+          await sleep(delay);
+        }
+        continue;
+      }
+      throw new Error(errors[0]?.message || 'GraphQL error');
+    }
+
+    return response.data.data;
+  }
+}
+
+// Cost summary reported back to the client
+function throttleSummary(throttle) {
+  return {
+    requests: throttle.requests,
+    requested_cost: throttle.requestedCost,
+    actual_cost: throttle.actualCost,
+    retries: throttle.retries,
+    throttled_ms: Math.round(throttle.waitedMs),
+    available: throttle.currentlyAvailable,
+    restore_rate: throttle.restoreRate
+  };
+}
+
+module.exports = { API_VERSION, isValidApiVersion, apiVersionAtLeast, cleanStoreName, shopUrl, graphqlUrl, createThrottle, throttleDelay, shopifyGraphQL, throttleSummary, sleep };
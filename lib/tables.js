@@ -0,0 +1,967 @@
+const { metafieldValue, metafieldColumns } = require('./metafields');
+const { API_VERSION, apiVersionAtLeast } = require('./shopify');
+
+// Inventory quantity names read into inventory_levels columns
+const INVENTORY_QUANTITIES = ['available', 'on_hand', 'committed', 'incoming', 'reserved', 'damaged', 'safety_stock'];
+
+// GraphQL source queries. Paginated sources take $first/$after/$query; `bulk` sources can run as a
+// bulk operation and `incremental` ones support an updated_at search for cache refreshes.
+// `# metafields` marks where requested mf_ column lookups are inserted (see lib/metafields.js).
+// Queries are written for current API versions; `versioned` lists selections that read differently
+// before a version ({ since, current, legacy }), swapped in by sourceQuery for older connections.
+const sources = {
+  orders: {
+    bulk: true,
+    incremental: true,
+    query: `
+      query($first: Int!, $after: String, $query: String) {
+        orders(first: $first, after: $after, query: $query) {
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            id
+            # metafields
+            name
+            email
+            createdAt
+            updatedAt
+            cancelledAt
+            closedAt
+            processedAt
+            totalPriceSet { shopMoney { amount currencyCode } presentmentMoney { amount currencyCode } }
+            subtotalPriceSet { shopMoney { amount currencyCode } presentmentMoney { amount currencyCode } }
+            totalTaxSet { shopMoney { amount currencyCode } presentmentMoney { amount currencyCode } }
+            totalShippingPriceSet { shopMoney { amount currencyCode } presentmentMoney { amount currencyCode } }
+            totalDiscountsSet { shopMoney { amount currencyCode } presentmentMoney { amount currencyCode } }
+            totalRefundedSet { shopMoney { amount currencyCode } presentmentMoney { amount currencyCode } }
+            presentmentCurrencyCode
+            displayFinancialStatus
+            displayFulfillmentStatus
+            fulfillable
+            note
+            tags
+            sourceName
+            customerJourneySummary {
+              ready
+              daysToConversion
+              momentsCount { count }
+              firstVisit {
+                occurredAt
+                landingPage
+                referrerUrl
+                source
+                sourceType
+                referralCode
+                utmParameters {
+                  source
+                  medium
+                  campaign
+                  content
+                  term
+                }
+              }
+              lastVisit {
+                occurredAt
+                landingPage
+                referrerUrl
+                source
+                sourceType
+                referralCode
+                utmParameters {
+                  source
+                  medium
+                  campaign
+                  content
+                  term
+                }
+              }
+            }
+            customer { id firstName lastName email phone }
+            shippingAddress { address1 address2 city province country zip }
+            billingAddress { address1 address2 city province country zip }
+            lineItems(first: 50) { pageInfo { hasNextPage endCursor } nodes { id title quantity sku vendor 
+              originalUnitPriceSet { shopMoney { amount currencyCode } presentmentMoney { amount currencyCode } }
+              discountedUnitPriceSet { shopMoney { amount currencyCode } presentmentMoney { amount currencyCode } }
+              variant { id title sku }
+              product { id title }
+            }}
+          }
+        }
+      }
+    `
+  },
+
+  // Order child tables each page through orders on their own, so their extra connections only
+  // cost query points when the table is actually used
+  order_refunds: {
+    // refundLineItems is a connection inside the refunds list, which bulk queries can't select
+    incremental: true,
+    query: `
+      query($first: Int!, $after: String, $query: String) {
+        orders(first: $first, after: $after, query: $query) {
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            id
+            name
+            updatedAt
+            refunds {
+              id
+              createdAt
+              note
+              totalRefundedSet { shopMoney { amount currencyCode } presentmentMoney { amount currencyCode } }
+              refundLineItems(first: 20) {
+                pageInfo { hasNextPage endCursor }
+                nodes {
+                  quantity
+                  restockType
+                  subtotalSet { shopMoney { amount } }
+                  lineItem { id title sku }
+                }
+              }
+            }
+          }
+        }
+      }
+    `
+  },
+
+  order_transactions: {
+    bulk: true,
+    incremental: true,
+    query: `
+      query($first: Int!, $after: String, $query: String) {
+        orders(first: $first, after: $after, query: $query) {
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            id
+            name
+            updatedAt
+            transactions {
+              id
+              gateway
+              kind
+              status
+              amountSet { shopMoney { amount currencyCode } presentmentMoney { amount currencyCode } }
+              processedAt
+              createdAt
+              errorCode
+              test
+              parentTransaction { id }
+            }
+          }
+        }
+      }
+    `
+  },
+
+  order_fulfillments: {
+    bulk: true,
+    incremental: true,
+    query: `
+      query($first: Int!, $after: String, $query: String) {
+        orders(first: $first, after: $after, query: $query) {
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            id
+            name
+            createdAt
+            updatedAt
+            fulfillments {
+              id
+              name
+              status
+              displayStatus
+              createdAt
+              updatedAt
+              inTransitAt
+              deliveredAt
+              estimatedDeliveryAt
+              trackingInfo { company number url }
+              location { id name }
+            }
+          }
+        }
+      }
+    `
+  },
+
+  order_discount_applications: {
+    bulk: true,
+    incremental: true,
+    query: `
+      query($first: Int!, $after: String, $query: String) {
+        orders(first: $first, after: $after, query: $query) {
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            id
+            name
+            updatedAt
+            discountApplications(first: 10) {
+              pageInfo { hasNextPage endCursor }
+              nodes {
+                __typename
+                allocationMethod
+                targetSelection
+                targetType
+                value {
+                  ... on MoneyV2 { amount currencyCode }
+                  ... on PricingPercentageValue { percentage }
+                }
+                ... on DiscountCodeApplication { code }
+                ... on ManualDiscountApplication { title }
+                ... on AutomaticDiscountApplication { title }
+                ... on ScriptDiscountApplication { title }
+              }
+            }
+          }
+        }
+      }
+    `
+  },
+
+  products: {
+    bulk: true,
+    incremental: true,
+    query: `
+      query($first: Int!, $after: String, $query: String) {
+        products(first: $first, after: $after, query: $query) {
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            id
+            # metafields
+            title
+            handle
+            descriptionHtml
+            description
+            vendor
+            productType
+            tags
+            status
+            createdAt
+            updatedAt
+            publishedAt
+            totalInventory
+            tracksInventory
+            priceRangeV2 {
+              minVariantPrice { amount currencyCode }
+              maxVariantPrice { amount currencyCode }
+            }
+            options { name values }
+            variants(first: 100) { 
+              pageInfo { hasNextPage endCursor }
+              nodes { 
+                id title sku barcode price compareAtPrice
+                # metafields
+                inventoryQuantity availableForSale
+                weight weightUnit
+                selectedOptions { name value }
+                inventoryItem { id tracked }
+              } 
+            }
+            images(first: 10) { pageInfo { hasNextPage endCursor } nodes { url altText } }
+            featuredImage { url altText }
+            seo { title description }
+            collections(first: 10) { pageInfo { hasNextPage endCursor } nodes { id title } }
+          }
+        }
+      }
+    `
+  },
+
+  customers: {
+    bulk: true,
+    incremental: true,
+    query: `
+      query($first: Int!, $after: String, $query: String) {
+        customers(first: $first, after: $after, query: $query) {
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            id
+            # metafields
+            firstName
+            lastName
+            email
+            phone
+            createdAt
+            updatedAt
+            note
+            tags
+            state
+            taxExempt
+            verifiedEmail
+            validEmailAddress
+            numberOfOrders
+            amountSpent { amount currencyCode }
+            defaultAddress { 
+              address1 address2 city province provinceCode country countryCodeV2 zip 
+              company phone
+            }
+          }
+        }
+      }
+    `
+  },
+
+  collections: {
+    bulk: true,
+    incremental: true,
+    query: `
+      query($first: Int!, $after: String, $query: String) {
+        collections(first: $first, after: $after, query: $query) {
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            id
+            # metafields
+            title
+            handle
+            description
+            descriptionHtml
+            sortOrder
+            productsCount { count }
+            updatedAt
+            image { url altText }
+            seo { title description }
+          }
+        }
+      }
+    `
+  },
+
+  inventory_items: {
+    bulk: true,
+    incremental: true,
+    query: `
+      query($first: Int!, $after: String, $query: String) {
+        inventoryItems(first: $first, after: $after, query: $query) {
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            id
+            sku
+            tracked
+            createdAt
+            updatedAt
+            countryCodeOfOrigin
+            provinceCodeOfOrigin
+            harmonizedSystemCode
+            unitCost { amount currencyCode }
+            inventoryLevels(first: 10) {
+              pageInfo { hasNextPage endCursor }
+              nodes {
+                id
+                quantities(names: ${JSON.stringify(INVENTORY_QUANTITIES)}) { name quantity }
+                location { id name }
+              }
+            }
+            variant { id title product { id title } }
+          }
+        }
+      }
+    `,
+    versioned: [
+      { since: '2023-01', current: `quantities(names: ${JSON.stringify(INVENTORY_QUANTITIES)}) { name quantity }`, legacy: 'available' }
+    ]
+  },
+
+  // One source per owner type; the metafields table unions them
+  product_metafields: {
+    bulk: true,
+    query: `
+      query($first: Int!, $after: String, $query: String) {
+        products(first: $first, after: $after, query: $query) {
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            id
+            metafields(first: 15) { pageInfo { hasNextPage endCursor } nodes { namespace key type value } }
+          }
+        }
+      }
+    `
+  },
+
+  variant_metafields: {
+    bulk: true,
+    query: `
+      query($first: Int!, $after: String, $query: String) {
+        productVariants(first: $first, after: $after, query: $query) {
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            id
+            metafields(first: 15) { pageInfo { hasNextPage endCursor } nodes { namespace key type value } }
+          }
+        }
+      }
+    `
+  },
+
+  customer_metafields: {
+    bulk: true,
+    query: `
+      query($first: Int!, $after: String, $query: String) {
+        customers(first: $first, after: $after, query: $query) {
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            id
+            metafields(first: 15) { pageInfo { hasNextPage endCursor } nodes { namespace key type value } }
+          }
+        }
+      }
+    `
+  },
+
+  order_metafields: {
+    bulk: true,
+    query: `
+      query($first: Int!, $after: String, $query: String) {
+        orders(first: $first, after: $after, query: $query) {
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            id
+            metafields(first: 15) { pageInfo { hasNextPage endCursor } nodes { namespace key type value } }
+          }
+        }
+      }
+    `
+  },
+
+  collection_metafields: {
+    bulk: true,
+    query: `
+      query($first: Int!, $after: String, $query: String) {
+        collections(first: $first, after: $after, query: $query) {
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            id
+            metafields(first: 15) { pageInfo { hasNextPage endCursor } nodes { namespace key type value } }
+          }
+        }
+      }
+    `
+  },
+
+  locations: {
+    query: `
+      query {
+        locations(first: 50) {
+          nodes {
+            id
+            name
+            address { address1 address2 city province country zip }
+            isActive
+            fulfillsOnlineOrders
+            hasActiveInventory
+          }
+        }
+      }
+    `
+  },
+
+  shop: {
+    query: `
+      query {
+        shop {
+          id
+          name
+          email
+          myshopifyDomain
+          primaryDomain { url host }
+          currencyCode
+          weightUnit
+          timezoneAbbreviation
+          ianaTimezone
+          billingAddress { address1 city province country zip }
+          plan { displayName partnerDevelopment shopifyPlus }
+        }
+      }
+    `
+  }
+};
+
+// Numeric part of a Shopify GID
+const gid = id => id?.split('/').pop();
+// Levels from before quantities existed only carry `available`
+const quantity = (level, name) => level.quantities
+  ? level.quantities.find(q => q.name === name)?.quantity ?? null
+  : name === 'available' ? level.available ?? null : null;
+const money = set => parseFloat(set?.shopMoney?.amount || 0);
+// The same amount in the currency the customer paid in
+const presentment = set => parseFloat(set?.presentmentMoney?.amount || 0);
+const column = (type, description, value) => ({ type, description, value });
+const firstVisit = o => o.customerJourneySummary?.firstVisit;
+const lastVisit = o => o.customerJourneySummary?.lastVisit;
+const refundLineItems = r => r.refundLineItems?.nodes || [];
+
+function hoursBetween(from, to) {
+  if (!from || !to) return null;
+  return Math.round((new Date(to) - new Date(from)) / 36000) / 100;
+}
+
+const discountTypes = {
+  DiscountCodeApplication: 'DISCOUNT_CODE',
+  AutomaticDiscountApplication: 'AUTOMATIC',
+  ManualDiscountApplication: 'MANUAL',
+  ScriptDiscountApplication: 'SCRIPT'
+};
+
+function metafieldTableColumns(ownerType) {
+  return {
+    owner_type: column('string', ownerType, () => ownerType),
+    owner_id: column('string', 'ID of the product, variant, customer, order or collection (for JOINs)', (m, owner) => gid(owner.id)),
+    namespace: column('string', 'Metafield namespace', m => m.namespace),
+    key: column('string', 'Metafield key', m => m.key),
+    type: column('string', 'Metafield type (single_line_text_field, number_integer, json, etc.)', m => m.type),
+    value: column('any', 'Value converted to its type', m => metafieldValue(m.type, m.value))
+  };
+}
+
+// An internal table holding one owner type's metafields
+function metafieldPart(source, ownerType) {
+  return { source, internal: true, rows: owner => owner.metafields?.nodes || [], columns: metafieldTableColumns(ownerType) };
+}
+
+// Every queryable table. `columns` map each column to its type, description and how it's read from a
+// source node; child tables set `rows` to the parent connection they flatten, and their column
+// readers get (child, parent). A table with `parts` is the union of those internal tables, and
+// `metafieldColumns` tables also take mf_ columns.
+const tables = {
+  orders: {
+    source: 'orders',
+    metafieldColumns: true,
+    description: 'All orders placed in your store, including financial data, customer info, shipping details, and UTM/session tracking for attribution analysis.',
+    columns: {
+      // Order identifiers
+      id: column('string', 'Unique order ID', o => gid(o.id)),
+      order_number: column('string', 'Order number (e.g., #1001)', o => o.name),
+      email: column('string', 'Customer email on the order', o => o.email),
+
+      // Timestamps
+      created_at: column('datetime', 'When the order was placed', o => o.createdAt),
+      updated_at: column('datetime', 'Last modification time', o => o.updatedAt),
+      cancelled_at: column('datetime', 'Cancellation time (null if not cancelled)', o => o.cancelledAt),
+      closed_at: column('datetime', 'When order was closed', o => o.closedAt),
+      processed_at: column('datetime', 'When payment was processed', o => o.processedAt),
+
+      // Financial
+      total_price: column('number', 'Total amount charged', o => money(o.totalPriceSet)),
+      subtotal_price: column('number', 'Subtotal before tax/shipping', o => money(o.subtotalPriceSet)),
+      total_tax: column('number', 'Total tax amount', o => money(o.totalTaxSet)),
+      total_shipping: column('number', 'Shipping cost', o => money(o.totalShippingPriceSet)),
+      total_discounts: column('number', 'Total discounts applied', o => money(o.totalDiscountsSet)),
+      total_refunded: column('number', 'Amount refunded', o => money(o.totalRefundedSet)),
+      currency: column('string', 'Currency code (USD, EUR, etc.)', o => o.totalPriceSet?.shopMoney?.currencyCode),
+      total_price_presentment: column('number', 'Total amount charged in the presentment (customer) currency', o => presentment(o.totalPriceSet)),
+      subtotal_price_presentment: column('number', 'Subtotal in the presentment (customer) currency', o => presentment(o.subtotalPriceSet)),
+      total_tax_presentment: column('number', 'Total tax in the presentment (customer) currency', o => presentment(o.totalTaxSet)),
+      total_shipping_presentment: column('number', 'Shipping cost in the presentment (customer) currency', o => presentment(o.totalShippingPriceSet)),
+      total_discounts_presentment: column('number', 'Total discounts in the presentment (customer) currency', o => presentment(o.totalDiscountsSet)),
+      total_refunded_presentment: column('number', 'Amount refunded in the presentment (customer) currency', o => presentment(o.totalRefundedSet)),
+      presentment_currency: column('string', 'Currency the customer paid in', o => o.presentmentCurrencyCode || o.totalPriceSet?.presentmentMoney?.currencyCode),
+
+      // Status
+      financial_status: column('string', 'PAID, PENDING, REFUNDED, etc.', o => o.displayFinancialStatus),
+      fulfillment_status: column('string', 'FULFILLED, UNFULFILLED, PARTIAL', o => o.displayFulfillmentStatus),
+      fulfillable: column('boolean', 'Has items left to fulfill', o => o.fulfillable),
+
+      // Misc
+      note: column('string', 'Order notes', o => o.note),
+      tags: column('string', 'Comma-separated tags', o => o.tags?.join(', ')),
+      source_name: column('string', 'Order source (web, pos, mobile)', o => o.sourceName),
+      line_items_count: column('integer', 'Number of items in order', o => o.lineItems?.nodes?.length || 0),
+
+      // Customer Journey
+      journey_ready: column('boolean', 'Journey data has finished processing', o => o.customerJourneySummary?.ready),
+      days_to_conversion: column('integer', 'Days from first visit to purchase', o => o.customerJourneySummary?.daysToConversion),
+      touchpoints_count: column('integer', 'Number of visits before purchase', o => o.customerJourneySummary?.momentsCount?.count),
+
+      // First Visit (Acquisition)
+      first_visit_at: column('datetime', 'Timestamp of first visit', o => firstVisit(o)?.occurredAt),
+      first_landing_page: column('string', 'First page URL visited', o => firstVisit(o)?.landingPage),
+      first_referrer: column('string', 'Referrer URL of first visit', o => firstVisit(o)?.referrerUrl),
+      first_source: column('string', 'Traffic source (google, facebook)', o => firstVisit(o)?.source),
+      first_source_type: column('string', 'Channel: SEARCH, SOCIAL, DIRECT, etc.', o => firstVisit(o)?.sourceType),
+      first_referral_code: column('string', 'Affiliate/referral code', o => firstVisit(o)?.referralCode),
+      first_utm_source: column('string', 'UTM source parameter', o => firstVisit(o)?.utmParameters?.source),
+      first_utm_medium: column('string', 'UTM medium parameter', o => firstVisit(o)?.utmParameters?.medium),
+      first_utm_campaign: column('string', 'UTM campaign name', o => firstVisit(o)?.utmParameters?.campaign),
+      first_utm_content: column('string', 'UTM content parameter', o => firstVisit(o)?.utmParameters?.content),
+      first_utm_term: column('string', 'UTM search term', o => firstVisit(o)?.utmParameters?.term),
+
+      // Last Visit (Conversion)
+      last_visit_at: column('datetime', 'Timestamp of converting visit', o => lastVisit(o)?.occurredAt),
+      last_landing_page: column('string', 'Page URL of converting visit', o => lastVisit(o)?.landingPage),
+      last_referrer: column('string', 'Referrer of converting visit', o => lastVisit(o)?.referrerUrl),
+      last_source: column('string', 'Traffic source of converting visit', o => lastVisit(o)?.source),
+      last_source_type: column('string', 'Channel of converting visit', o => lastVisit(o)?.sourceType),
+      last_referral_code: column('string', 'Referral code of converting visit', o => lastVisit(o)?.referralCode),
+      last_utm_source: column('string', 'UTM source of converting visit', o => lastVisit(o)?.utmParameters?.source),
+      last_utm_medium: column('string', 'UTM medium of converting visit', o => lastVisit(o)?.utmParameters?.medium),
+      last_utm_campaign: column('string', 'UTM campaign of converting visit', o => lastVisit(o)?.utmParameters?.campaign),
+      last_utm_content: column('string', 'UTM content of converting visit', o => lastVisit(o)?.utmParameters?.content),
+      last_utm_term: column('string', 'UTM search term of converting visit', o => lastVisit(o)?.utmParameters?.term),
+
+      // Customer
+      customer_id: column('string', 'Customer ID', o => gid(o.customer?.id)),
+      customer_email: column('string', 'Customer email', o => o.customer?.email),
+      customer_first_name: column('string', 'Customer first name', o => o.customer?.firstName),
+      customer_last_name: column('string', 'Customer last name', o => o.customer?.lastName),
+      customer_phone: column('string', 'Customer phone', o => o.customer?.phone),
+
+      // Shipping Address
+      shipping_address1: column('string', 'Shipping street address', o => o.shippingAddress?.address1),
+      shipping_address2: column('string', 'Shipping address line 2', o => o.shippingAddress?.address2),
+      shipping_city: column('string', 'Shipping city', o => o.shippingAddress?.city),
+      shipping_province: column('string', 'Shipping state/province', o => o.shippingAddress?.province),
+      shipping_country: column('string', 'Shipping country', o => o.shippingAddress?.country),
+      shipping_zip: column('string', 'Shipping postal code', o => o.shippingAddress?.zip),
+
+      // Billing Address
+      billing_address1: column('string', 'Billing street address', o => o.billingAddress?.address1),
+      billing_address2: column('string', 'Billing address line 2', o => o.billingAddress?.address2),
+      billing_city: column('string', 'Billing city', o => o.billingAddress?.city),
+      billing_province: column('string', 'Billing state/province', o => o.billingAddress?.province),
+      billing_country: column('string', 'Billing country', o => o.billingAddress?.country),
+      billing_zip: column('string', 'Billing postal code', o => o.billingAddress?.zip)
+    }
+  },
+
+  order_line_items: {
+    source: 'orders',
+    rows: o => o.lineItems?.nodes || [],
+    description: 'Individual line items within orders. Each row represents one product/variant in an order. Use JOIN with orders table for full details.',
+    columns: {
+      id: column('string', 'Line item ID', li => gid(li.id)),
+      order_id: column('string', 'Parent order ID (for JOINs)', (li, o) => gid(o.id)),
+      order_number: column('string', 'Order number', (li, o) => o.name),
+      title: column('string', 'Product title', li => li.title),
+      quantity: column('integer', 'Quantity ordered', li => li.quantity),
+      sku: column('string', 'SKU code', li => li.sku || li.variant?.sku),
+      vendor: column('string', 'Product vendor', li => li.vendor),
+      unit_price: column('number', 'Price per unit', li => money(li.originalUnitPriceSet)),
+      discounted_price: column('number', 'Price after discounts', li => money(li.discountedUnitPriceSet)),
+      currency: column('string', 'Store currency of the prices', li => li.originalUnitPriceSet?.shopMoney?.currencyCode),
+      unit_price_presentment: column('number', 'Price per unit in the presentment (customer) currency', li => presentment(li.originalUnitPriceSet)),
+      discounted_price_presentment: column('number', 'Price after discounts in the presentment (customer) currency', li => presentment(li.discountedUnitPriceSet)),
+      presentment_currency: column('string', 'Currency the customer paid in', li => li.originalUnitPriceSet?.presentmentMoney?.currencyCode),
+      variant_id: column('string', 'Product variant ID', li => gid(li.variant?.id)),
+      variant_title: column('string', 'Variant name (e.g., "Large / Blue")', li => li.variant?.title),
+      product_id: column('string', 'Product ID', li => gid(li.product?.id)),
+      product_title: column('string', 'Product title', li => li.product?.title)
+    }
+  },
+
+  order_refunds: {
+    source: 'order_refunds',
+    rows: o => o.refunds || [],
+    description: 'Refunds issued on orders, one row per refund, with the refunded line items and amounts. Use JOIN with orders on order_id.',
+    columns: {
+      id: column('string', 'Refund ID', r => gid(r.id)),
+      order_id: column('string', 'Parent order ID (for JOINs)', (r, o) => gid(o.id)),
+      order_number: column('string', 'Order number', (r, o) => o.name),
+      created_at: column('datetime', 'When the refund was issued', r => r.createdAt),
+      note: column('string', 'Refund reason entered by staff', r => r.note),
+      total_refunded: column('number', 'Total amount refunded', r => money(r.totalRefundedSet)),
+      currency: column('string', 'Refund currency', r => r.totalRefundedSet?.shopMoney?.currencyCode),
+      total_refunded_presentment: column('number', 'Total amount refunded in the presentment (customer) currency', r => presentment(r.totalRefundedSet)),
+      presentment_currency: column('string', 'Currency the customer was refunded in', r => r.totalRefundedSet?.presentmentMoney?.currencyCode),
+      line_items_subtotal: column('number', 'Subtotal of the refunded line items', r => refundLineItems(r).reduce((sum, li) => sum + money(li.subtotalSet), 0)),
+      refunded_quantity: column('integer', 'Units refunded across line items', r => refundLineItems(r).reduce((sum, li) => sum + (li.quantity || 0), 0)),
+      refund_line_items: column('string', 'Refunded items (e.g., "SKU-1 x 2, SKU-2 x 1")', r => refundLineItems(r).map(li => `${li.lineItem?.sku || li.lineItem?.title} x ${li.quantity}`).join(', ')),
+      restocked: column('boolean', 'Any refunded item was restocked', r => refundLineItems(r).some(li => li.restockType && li.restockType !== 'NO_RESTOCK'))
+    }
+  },
+
+  order_transactions: {
+    source: 'order_transactions',
+    rows: o => o.transactions || [],
+    description: 'Payment transactions on orders (authorizations, captures, sales, refunds, voids). Use for payout reconciliation.',
+    columns: {
+      id: column('string', 'Transaction ID', t => gid(t.id)),
+      order_id: column('string', 'Parent order ID (for JOINs)', (t, o) => gid(o.id)),
+      order_number: column('string', 'Order number', (t, o) => o.name),
+      gateway: column('string', 'Payment gateway (shopify_payments, paypal, manual)', t => t.gateway),
+      kind: column('string', 'AUTHORIZATION, CAPTURE, SALE, REFUND, VOID, etc.', t => t.kind),
+      status: column('string', 'SUCCESS, FAILURE, PENDING, ERROR', t => t.status),
+      amount: column('number', 'Transaction amount', t => money(t.amountSet)),
+      currency: column('string', 'Transaction currency', t => t.amountSet?.shopMoney?.currencyCode),
+      amount_presentment: column('number', 'Transaction amount in the presentment (customer) currency', t => presentment(t.amountSet)),
+      presentment_currency: column('string', 'Currency the customer paid in', t => t.amountSet?.presentmentMoney?.currencyCode),
+      processed_at: column('datetime', 'When the transaction was processed', t => t.processedAt),
+      created_at: column('datetime', 'When the transaction was created', t => t.createdAt),
+      error_code: column('string', 'Gateway error code for failed transactions', t => t.errorCode),
+      test: column('boolean', 'Is a test transaction', t => t.test),
+      parent_transaction_id: column('string', 'Transaction this one captures, refunds or voids', t => gid(t.parentTransaction?.id))
+    }
+  },
+
+  order_fulfillments: {
+    source: 'order_fulfillments',
+    rows: o => o.fulfillments || [],
+    description: 'Fulfillments (shipments) of orders with tracking and delivery times. Use hours_to_fulfill to measure fulfillment SLAs.',
+    columns: {
+      id: column('string', 'Fulfillment ID', f => gid(f.id)),
+      order_id: column('string', 'Parent order ID (for JOINs)', (f, o) => gid(o.id)),
+      order_number: column('string', 'Order number', (f, o) => o.name),
+      name: column('string', 'Fulfillment name (e.g., #1001-F1)', f => f.name),
+      status: column('string', 'SUCCESS, CANCELLED, ERROR, FAILURE', f => f.status),
+      display_status: column('string', 'Shipment status (IN_TRANSIT, DELIVERED, etc.)', f => f.displayStatus),
+      created_at: column('datetime', 'When the fulfillment was created', f => f.createdAt),
+      updated_at: column('datetime', 'Last update', f => f.updatedAt),
+      in_transit_at: column('datetime', 'When the shipment went in transit', f => f.inTransitAt),
+      delivered_at: column('datetime', 'When the shipment was delivered', f => f.deliveredAt),
+      estimated_delivery_at: column('datetime', 'Estimated delivery time', f => f.estimatedDeliveryAt),
+      tracking_company: column('string', 'Carrier of the first tracking number', f => f.trackingInfo?.[0]?.company),
+      tracking_number: column('string', 'First tracking number', f => f.trackingInfo?.[0]?.number),
+      tracking_url: column('string', 'First tracking URL', f => f.trackingInfo?.[0]?.url),
+      location_id: column('string', 'Fulfilling location ID', f => gid(f.location?.id)),
+      location_name: column('string', 'Fulfilling location name', f => f.location?.name),
+      order_created_at: column('datetime', 'When the order was placed', (f, o) => o.createdAt),
+      hours_to_fulfill: column('number', 'Hours from order placement to fulfillment', (f, o) => hoursBetween(o.createdAt, f.createdAt))
+    }
+  },
+
+  order_discount_applications: {
+    source: 'order_discount_applications',
+    rows: o => o.discountApplications?.nodes || [],
+    description: 'Discounts applied to orders: discount codes, automatic, manual and script discounts.',
+    columns: {
+      order_id: column('string', 'Parent order ID (for JOINs)', (d, o) => gid(o.id)),
+      order_number: column('string', 'Order number', (d, o) => o.name),
+      type: column('string', 'DISCOUNT_CODE, AUTOMATIC, MANUAL or SCRIPT', d => discountTypes[d.__typename]),
+      code: column('string', 'Discount code, or the title of automatic/manual/script discounts', d => d.code || d.title),
+      value: column('number', 'Discount value: an amount or a percentage', d => parseFloat(d.value?.amount ?? d.value?.percentage ?? 0)),
+      value_type: column('string', 'FIXED_AMOUNT or PERCENTAGE', d => (d.value?.percentage != null ? 'PERCENTAGE' : 'FIXED_AMOUNT')),
+      currency: column('string', 'Currency of fixed-amount discounts', d => d.value?.currencyCode),
+      allocation_method: column('string', 'ACROSS, EACH or ONE', d => d.allocationMethod),
+      target_selection: column('string', 'ALL, ENTITLED or EXPLICIT', d => d.targetSelection),
+      target_type: column('string', 'LINE_ITEM or SHIPPING_LINE', d => d.targetType)
+    }
+  },
+
+  products: {
+    source: 'products',
+    metafieldColumns: true,
+    description: 'Product catalog with inventory, pricing, and metadata. Each row is one product (not variant).',
+    columns: {
+      id: column('string', 'Product ID', p => gid(p.id)),
+      title: column('string', 'Product title', p => p.title),
+      handle: column('string', 'URL handle (slug)', p => p.handle),
+      description: column('string', 'Product description text', p => p.description),
+      vendor: column('string', 'Vendor/brand name', p => p.vendor),
+      product_type: column('string', 'Product type/category', p => p.productType),
+      tags: column('string', 'Comma-separated tags', p => p.tags?.join(', ')),
+      status: column('string', 'ACTIVE, DRAFT, ARCHIVED', p => p.status),
+      created_at: column('datetime', 'Creation date', p => p.createdAt),
+      updated_at: column('datetime', 'Last update date', p => p.updatedAt),
+      published_at: column('datetime', 'Publication date', p => p.publishedAt),
+      total_inventory: column('integer', 'Total stock across all variants', p => p.totalInventory),
+      tracks_inventory: column('boolean', 'Is inventory tracked', p => p.tracksInventory),
+      min_price: column('number', 'Lowest variant price', p => parseFloat(p.priceRangeV2?.minVariantPrice?.amount || 0)),
+      max_price: column('number', 'Highest variant price', p => parseFloat(p.priceRangeV2?.maxVariantPrice?.amount || 0)),
+      currency: column('string', 'Price currency', p => p.priceRangeV2?.minVariantPrice?.currencyCode),
+      options: column('string', 'Option names (e.g., "Size, Color")', p => p.options?.map(o => o.name).join(', ')),
+      image_url: column('string', 'Featured image URL', p => p.featuredImage?.url),
+      seo_title: column('string', 'SEO title', p => p.seo?.title),
+      seo_description: column('string', 'SEO description', p => p.seo?.description),
+      collections: column('string', 'Comma-separated collection titles', p => p.collections?.nodes?.map(c => c.title).join(', ')),
+      variants_count: column('integer', 'Number of variants', p => p.variants?.nodes?.length || 0)
+    }
+  },
+
+  product_variants: {
+    source: 'products',
+    metafieldColumns: true,
+    rows: p => p.variants?.nodes || [],
+    description: 'Individual product variants with SKU, pricing, and inventory. Each variant is a specific size/color/option combination.',
+    columns: {
+      id: column('string', 'Variant ID', v => gid(v.id)),
+      product_id: column('string', 'Parent product ID (for JOINs)', (v, p) => gid(p.id)),
+      product_title: column('string', 'Product title', (v, p) => p.title),
+      title: column('string', 'Variant title (e.g., "Large / Blue")', v => v.title),
+      sku: column('string', 'SKU code', v => v.sku),
+      barcode: column('string', 'Barcode/UPC', v => v.barcode),
+      price: column('number', 'Variant price', v => parseFloat(v.price || 0)),
+      compare_at_price: column('number', 'Original price (for sales)', v => (v.compareAtPrice ? parseFloat(v.compareAtPrice) : null)),
+      inventory_quantity: column('integer', 'Stock quantity', v => v.inventoryQuantity),
+      available_for_sale: column('boolean', 'Is available for purchase', v => v.availableForSale),
+      weight: column('number', 'Weight value', v => v.weight),
+      weight_unit: column('string', 'Weight unit (kg, lb, etc.)', v => v.weightUnit),
+      options: column('string', 'Option values (e.g., "Size: L, Color: Blue")', v => v.selectedOptions?.map(o => `${o.name}: ${o.value}`).join(', ')),
+      inventory_item_id: column('string', 'Inventory item ID (for JOINs)', v => gid(v.inventoryItem?.id)),
+      inventory_tracked: column('boolean', 'Is inventory tracked', v => v.inventoryItem?.tracked)
+    }
+  },
+
+  customers: {
+    source: 'customers',
+    metafieldColumns: true,
+    description: 'Customer profiles with contact info, address, and lifetime value metrics.',
+    columns: {
+      id: column('string', 'Customer ID', c => gid(c.id)),
+      email: column('string', 'Email address', c => c.email),
+      first_name: column('string', 'First name', c => c.firstName),
+      last_name: column('string', 'Last name', c => c.lastName),
+      full_name: column('string', 'Full name combined', c => [c.firstName, c.lastName].filter(Boolean).join(' ')),
+      phone: column('string', 'Phone number', c => c.phone),
+      created_at: column('datetime', 'Account creation date', c => c.createdAt),
+      updated_at: column('datetime', 'Last update date', c => c.updatedAt),
+      note: column('string', 'Internal notes', c => c.note),
+      tags: column('string', 'Comma-separated tags', c => c.tags?.join(', ')),
+      state: column('string', 'Account state (ENABLED, DISABLED)', c => c.state),
+      tax_exempt: column('boolean', 'Is tax exempt', c => c.taxExempt),
+      verified_email: column('boolean', 'Email verified', c => c.verifiedEmail),
+      valid_email: column('boolean', 'Email address is valid', c => c.validEmailAddress),
+      orders_count: column('integer', 'Total number of orders', c => c.numberOfOrders),
+      total_spent: column('number', 'Lifetime spend amount', c => parseFloat(c.amountSpent?.amount || 0)),
+      currency: column('string', 'Spend currency', c => c.amountSpent?.currencyCode),
+      address1: column('string', 'Default address street', c => c.defaultAddress?.address1),
+      address2: column('string', 'Default address line 2', c => c.defaultAddress?.address2),
+      city: column('string', 'Default address city', c => c.defaultAddress?.city),
+      province: column('string', 'Default address state/province', c => c.defaultAddress?.province),
+      province_code: column('string', 'Default address province code', c => c.defaultAddress?.provinceCode),
+      country: column('string', 'Default address country', c => c.defaultAddress?.country),
+      country_code: column('string', 'Default address country code', c => c.defaultAddress?.countryCodeV2),
+      zip: column('string', 'Default address postal code', c => c.defaultAddress?.zip),
+      company: column('string', 'Company name', c => c.defaultAddress?.company)
+    }
+  },
+
+  collections: {
+    source: 'collections',
+    metafieldColumns: true,
+    description: 'Product collections/categories for organizing your catalog.',
+    columns: {
+      id: column('string', 'Collection ID', c => gid(c.id)),
+      title: column('string', 'Collection title', c => c.title),
+      handle: column('string', 'URL handle (slug)', c => c.handle),
+      description: column('string', 'Collection description', c => c.description),
+      sort_order: column('string', 'Product sort order', c => c.sortOrder),
+      products_count: column('integer', 'Number of products', c => c.productsCount?.count),
+      updated_at: column('datetime', 'Last update date', c => c.updatedAt),
+      image_url: column('string', 'Collection image URL', c => c.image?.url),
+      seo_title: column('string', 'SEO title', c => c.seo?.title),
+      seo_description: column('string', 'SEO description', c => c.seo?.description)
+    }
+  },
+
+  inventory_items: {
+    source: 'inventory_items',
+    description: 'Inventory tracking items linked to product variants. Contains unit cost, origin and customs info.',
+    columns: {
+      id: column('string', 'Inventory item ID', i => gid(i.id)),
+      sku: column('string', 'SKU code', i => i.sku),
+      tracked: column('boolean', 'Is inventory tracked', i => i.tracked),
+      created_at: column('datetime', 'Creation date', i => i.createdAt),
+      updated_at: column('datetime', 'Last update', i => i.updatedAt),
+      country_of_origin: column('string', 'Country of origin code', i => i.countryCodeOfOrigin),
+      province_of_origin: column('string', 'Province of origin', i => i.provinceCodeOfOrigin),
+      hs_code: column('string', 'Harmonized System code (customs)', i => i.harmonizedSystemCode),
+      unit_cost: column('number', 'Cost of one unit, for stock valuation (null when no cost is set)', i => (i.unitCost ? parseFloat(i.unitCost.amount) : null)),
+      currency: column('string', 'Currency of the unit cost', i => i.unitCost?.currencyCode),
+      variant_id: column('string', 'Linked variant ID', i => gid(i.variant?.id)),
+      variant_title: column('string', 'Linked variant title', i => i.variant?.title),
+      product_id: column('string', 'Product ID', i => gid(i.variant?.product?.id)),
+      product_title: column('string', 'Product title', i => i.variant?.product?.title)
+    }
+  },
+
+  inventory_levels: {
+    source: 'inventory_items',
+    rows: i => i.inventoryLevels?.nodes || [],
+    description: 'Stock quantities per location: available, on hand, committed, incoming, reserved, damaged and safety stock at each warehouse/store. JOIN inventory_items for unit_cost.',
+    columns: {
+      id: column('string', 'Inventory level ID', l => gid(l.id)),
+      inventory_item_id: column('string', 'Inventory item ID (for JOINs)', (l, i) => gid(i.id)),
+      sku: column('string', 'SKU code', (l, i) => i.sku),
+      location_id: column('string', 'Location ID', l => gid(l.location?.id)),
+      location_name: column('string', 'Location/warehouse name', l => l.location?.name),
+      available: column('integer', 'Available to sell (on hand minus committed and reserved)', l => quantity(l, 'available')),
+      on_hand: column('integer', 'Physically on hand at the location', l => quantity(l, 'on_hand')),
+      committed: column('integer', 'Committed to unfulfilled orders', l => quantity(l, 'committed')),
+      incoming: column('integer', 'Incoming from transfers and purchase orders', l => quantity(l, 'incoming')),
+      reserved: column('integer', 'Held back from sale, e.g. for draft orders or pickup', l => quantity(l, 'reserved')),
+      damaged: column('integer', 'On hand but damaged and not for sale', l => quantity(l, 'damaged')),
+      safety_stock: column('integer', 'On hand but kept back as a safety buffer', l => quantity(l, 'safety_stock')),
+      product_title: column('string', 'Product title', (l, i) => i.variant?.product?.title),
+      variant_title: column('string', 'Variant title', (l, i) => i.variant?.title)
+    }
+  },
+
+  metafields: {
+    parts: ['product_metafields', 'variant_metafields', 'customer_metafields', 'order_metafields', 'collection_metafields'],
+    description: 'Metafields of products, variants, customers, orders and collections. Values are converted by type (numbers, booleans, JSON).',
+    columns: metafieldTableColumns('PRODUCT, PRODUCTVARIANT, CUSTOMER, ORDER or COLLECTION')
+  },
+
+  product_metafields: metafieldPart('product_metafields', 'PRODUCT'),
+  variant_metafields: metafieldPart('variant_metafields', 'PRODUCTVARIANT'),
+  customer_metafields: metafieldPart('customer_metafields', 'CUSTOMER'),
+  order_metafields: metafieldPart('order_metafields', 'ORDER'),
+  collection_metafields: metafieldPart('collection_metafields', 'COLLECTION'),
+
+  locations: {
+    source: 'locations',
+    description: 'Physical locations (warehouses, stores, fulfillment centers).',
+    columns: {
+      id: column('string', 'Location ID', l => gid(l.id)),
+      name: column('string', 'Location name', l => l.name),
+      address1: column('string', 'Street address', l => l.address?.address1),
+      address2: column('string', 'Address line 2', l => l.address?.address2),
+      city: column('string', 'City', l => l.address?.city),
+      province: column('string', 'State/province', l => l.address?.province),
+      country: column('string', 'Country', l => l.address?.country),
+      zip: column('string', 'Postal code', l => l.address?.zip),
+      is_active: column('boolean', 'Is location active', l => l.isActive),
+      fulfills_online_orders: column('boolean', 'Fulfills online orders', l => l.fulfillsOnlineOrders),
+      has_active_inventory: column('boolean', 'Has active inventory', l => l.hasActiveInventory)
+    }
+  },
+
+  shop: {
+    source: 'shop',
+    description: 'Store settings and configuration. Returns one row with shop details.',
+    columns: {
+      id: column('string', 'Shop ID', s => gid(s.id)),
+      name: column('string', 'Store name', s => s.name),
+      email: column('string', 'Store email', s => s.email),
+      myshopify_domain: column('string', 'Myshopify domain', s => s.myshopifyDomain),
+      domain: column('string', 'Primary domain URL', s => s.primaryDomain?.url),
+      currency: column('string', 'Store currency', s => s.currencyCode),
+      weight_unit: column('string', 'Default weight unit', s => s.weightUnit),
+      timezone: column('string', 'Store timezone', s => s.timezoneAbbreviation),
+      iana_timezone: column('string', 'Store timezone as an IANA name (America/New_York), used by the date functions', s => s.ianaTimezone),
+      plan_name: column('string', 'Shopify plan name', s => s.plan?.displayName),
+      is_partner_dev: column('boolean', 'Is a partner development store', s => s.plan?.partnerDevelopment),
+      is_plus: column('boolean', 'Is Shopify Plus', s => s.plan?.shopifyPlus)
+    }
+  }
+};
+
+// A source's query as sent to a connection on `apiVersion`
+function sourceQuery(source, apiVersion = API_VERSION) {
+  const { query, versioned = [] } = sources[source];
+  return versioned.reduce((text, { since, current, legacy }) =>
+    apiVersionAtLeast(apiVersion, since) ? text : text.replace(current, legacy), query);
+}
+
+// Flatten source nodes into the table's rows
+function transformToTable(table, nodes) {
+  const { rows, columns } = tables[table];
+  const readers = Object.entries(columns);
+  const toRow = (node, parent) => ({
+    ...Object.fromEntries(readers.map(([name, c]) => [name, c.value(node, parent)])),
+    ...metafieldColumns(node)
+  });
+  return rows
+    ? nodes.flatMap(parent => rows(parent).map(node => toRow(node, parent)))
+    : nodes.map(node => toRow(node));
+}
+
+// The registry as sent to the client: no readers, just names, types and descriptions
+function describeTables() {
+  return Object.fromEntries(Object.entries(tables).filter(([, t]) => !t.internal).map(([name, t]) => [name, {
+    source: t.source,
+    description: t.description,
+    metafieldColumns: Boolean(t.metafieldColumns),
+    columns: Object.fromEntries(Object.entries(t.columns).map(([col, c]) => [col, { type: c.type, description: c.description }]))
+  }]));
+}
+
+module.exports = { sources, tables, sourceQuery, transformToTable, describeTables };
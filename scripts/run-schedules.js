@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+// Runs the scheduled queries that are due and keeps each result set as a snapshot.
+//
+//   node scripts/run-schedules.js             run everything due since its last run (call this every minute from cron)
+//   node scripts/run-schedules.js --watch     keep running, checking once a minute
+//   node scripts/run-schedules.js --run NAME  run one schedule now, due or not
+//
+// Needs the same SESSION_SECRET as the app (to open the saved credentials) and the same
+// SCHEDULE_STORE / SCHEDULE_STORE_PATH, so both read and write one store.
+const { runSchedule, schedules } = require('../api/query');
+const { isDue } = require('../lib/cron');
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+async function run(schedule) {
+  const started = Date.now();
+  try {
+    const rows = await runSchedule(schedule);
+    console.log(`${schedule.name}: ${rows.length} rows in ${Date.now() - started}ms`);
+  } catch (error) {
+    // Recorded as a run, so a failing schedule waits for its next slot instead of retrying every minute
+    console.error(`${schedule.name}: ${error.message}`);
+    await schedules().saveSchedule({ ...schedule, lastRunAt: new Date().toISOString(), lastError: error.message });
+  }
+}
+
+async function runDue(now = new Date()) {
+  for (const schedule of await schedules().listSchedules()) {
+    let due;
+    try {
+      due = isDue(schedule.cron, schedule.lastRunAt || schedule.createdAt, now);
+    } catch (error) {
+      console.error(`${schedule.name}: ${error.message}`);
+      continue;
+    }
+    if (due) await run(schedule);
+  }
+}
+
+async function main(args) {
+  if (args[0] === '--run') {
+    const schedule = await schedules().getSchedule(args[1]);
+    if (!schedule) throw new Error(`No scheduled query named ${args[1]}`);
+    await run(schedule);
+    return;
+  }
+
+  if (args[0] === '--watch') {
+    while (true) {
+      await runDue();
+      // Wake just after the next minute starts
+      await new Promise(resolve => setTimeout(resolve, CHECK_INTERVAL_MS - (Date.now() % CHECK_INTERVAL_MS) + 1000));
+    }
+  }
+
+  await runDue();
+}
+
+main(process.argv.slice(2)).catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
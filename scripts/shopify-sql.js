@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+// Command-line client for POST /api/v1/query.
+//
+//   shopify-sql "SELECT name, total_price FROM orders LIMIT 10"
+//   shopify-sql "SELECT * FROM products WHERE vendor = :vendor" --param vendor=Acme --format csv --output products.csv
+//   echo "SELECT COUNT(*) AS n FROM customers" | shopify-sql --format json
+//
+// Options: --format json|csv|jsonl|xlsx|parquet (default csv), --param name=value (repeatable),
+// --max-rows N|all (default all), --refresh, --output FILE (default stdout).
+// SHOPIFY_SQL_API_KEY holds the key (or --key) and SHOPIFY_SQL_URL the app's address (or --url).
+const axios = require('axios');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+
+const DEFAULT_URL = 'http://localhost:3000';
+
+// Numbers and true/false are sent as such; anything else is text
+function paramValue(text) {
+  if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+  if (text === 'true' || text === 'false') return text === 'true';
+  return text;
+}
+
+function parseArgs(args) {
+  const options = { format: 'csv', maxRows: 'all', params: {}, refresh: false, sql: null };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const next = () => {
+      if (i + 1 >= args.length) throw new Error(`${arg} needs a value`);
+      return args[++i];
+    };
+    if (arg === '--format') options.format = next();
+    else if (arg === '--max-rows') options.maxRows = next();
+    else if (arg === '--output' || arg === '-o') options.output = next();
+    else if (arg === '--key') options.key = next();
+    else if (arg === '--url') options.url = next();
+    else if (arg === '--refresh') options.refresh = true;
+    else if (arg === '--param' || arg === '-p') {
+      const [name, ...value] = next().split('=');
+      if (!name || value.length === 0) throw new Error('Parameters are given as --param name=value');
+      options.params[name] = paramValue(value.join('='));
+    } else if (arg.startsWith('-') && arg !== '-') throw new Error(`Unknown option: ${arg}`);
+    else if (options.sql === null) options.sql = arg;
+    else throw new Error('Pass the SQL as one quoted argument');
+  }
+  return options;
+}
+
+async function readStdin() {
+  let text = '';
+  for await (const chunk of process.stdin) text += chunk;
+  return text;
+}
+
+async function main(args) {
+  const options = parseArgs(args);
+  const key = options.key || process.env.SHOPIFY_SQL_API_KEY;
+  if (!key) throw new Error('Set SHOPIFY_SQL_API_KEY or pass --key');
+  const sql = options.sql && options.sql !== '-' ? options.sql : await readStdin();
+  if (!sql.trim()) throw new Error('No SQL given');
+
+  const url = `${(options.url || process.env.SHOPIFY_SQL_URL || DEFAULT_URL).replace(/\/+$/, '')}/api/v1/query`;
+  const response = await axios.post(url, {
+    sql,
+    params: options.params,
+    format: options.format,
+    maxRows: options.maxRows,
+    refresh: options.refresh
+  }, {
+    headers: { Authorization: `Bearer ${key}` },
+    responseType: 'stream',
+    validateStatus: () => true
+  });
+
+  if (response.status !== 200) {
+    let body = '';
+    for await (const chunk of response.data) body += chunk;
+    let message;
+    try {
+      message = JSON.parse(body).error;
+    } catch {
+      message = body;
+    }
+    throw new Error(message || `Request failed with status ${response.status}`);
+  }
+
+  const output = options.output ? fs.createWriteStream(options.output) : process.stdout;
+  await pipeline(response.data, output);
+  if (options.output) console.error(`${response.headers['x-row-count'] ?? '?'} rows written to ${options.output}`);
+}
+
+main(process.argv.slice(2)).catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
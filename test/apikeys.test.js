@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startMockShopify, mockResponse } = require('./helpers/mock-shopify');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shopify-sql-keys-'));
+process.env.API_KEY_STORE_PATH = dir;
+process.env.TABLE_CACHE = 'off';
+process.env.SESSION_SECRET = 'test-secret';
+
+const query = require('../api/query');
+const v1 = require('../api/v1/query');
+const { generateApiKey } = require('../lib/apikeys');
+const { sealCredentials } = require('../lib/session');
+
+let server;
+test.before(async () => {
+  server = await startMockShopify(() => ({ data: { products: { nodes: [], pageInfo: { hasNextPage: false, endCursor: null } } } }));
+  process.env.SHOPIFY_BASE_URL = `${server.url}/{shop}`;
+});
+test.after(() => {
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function createKey(tables) {
+  const { key, ...record } = generateApiKey();
+  await query.apiKeys().saveKey({
+    ...record,
+    name: 'test',
+    storeName: 'demo',
+    credentials: sealCredentials({ storeName: 'demo', accessToken: 'shpat_test', apiVersion: '2025-01' }),
+    tables,
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+    revokedAt: null
+  });
+  return key;
+}
+
+async function run(key, sql) {
+  const res = mockResponse();
+  v1({ method: 'POST', headers: { authorization: `Bearer ${key}` }, body: { sql, maxRows: '1000' } }, res);
+  return res.finished;
+}
+
+test('a key scoped to products cannot read metafields through mf_ columns', async () => {
+  const key = await createKey(['products']);
+  const res = await run(key, 'SELECT title, mf_custom_color FROM products');
+  assert.equal(res.statusCode, 403);
+  assert.match(res.body.error, /metafields \(mf_custom_color\)/);
+
+  // A string that only looks like a metafield column isn't one
+  assert.equal((await run(key, "SELECT title FROM products WHERE title = 'mf_custom_color'")).statusCode, 200);
+});
+
+test('a key scoped to products and metafields can read mf_ columns', async () => {
+  const key = await createKey(['products', 'metafields']);
+  const res = await run(key, 'SELECT title, mf_custom_color FROM products');
+  assert.equal(res.statusCode, 200);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { toBulkQuery, parseBulkJsonl } = require('../lib/bulk');
+const { sourceQuery, transformToTable } = require('../lib/tables');
+const { withMetafields } = require('../lib/metafields');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+test('toBulkQuery turns the paged products query into a bulk query', () => {
+  const bulk = toBulkQuery(sourceQuery('products'), 'vendor:"Acme Co"');
+  assert.ok(bulk.startsWith('{ products(query: "vendor:\\"Acme Co\\"") { edges { node { id title '));
+  assert.doesNotMatch(bulk, /pageInfo|first:|\$after|#/);
+  assert.match(bulk, /variants \{ edges \{ node \{ __typename id title sku /);
+  assert.match(bulk, /images \{ edges \{ node \{ __typename url altText \} \} \}/);
+  assert.match(bulk, /collections \{ edges \{ node \{ __typename id title \} \} \}/);
+  // Plain objects are left alone and the root nodes don't get a __typename
+  assert.match(bulk, /featuredImage \{ url altText \}/);
+  assert.doesNotMatch(bulk, /products\([^)]*\) \{ edges \{ node \{ __typename/);
+});
+
+test('toBulkQuery drops the root arguments without a search', () => {
+  const bulk = toBulkQuery(sourceQuery('inventory_items'));
+  assert.ok(bulk.startsWith('{ inventoryItems { edges { node { id sku '));
+  assert.match(bulk, /inventoryLevels \{ edges \{ node \{ __typename id quantities\(names: \[[^\]]+\]\) \{ name quantity \} location \{ id name \} \} \} \}/);
+  assert.match(bulk, /variant \{ id title product \{ id title \} \}/);
+});
+
+test('toBulkQuery tags connections nested two levels down', () => {
+  assert.equal(
+    toBulkQuery(sourceQuery('variant_metafields')),
+    '{ productVariants { edges { node { id metafields { edges { node { __typename namespace key type value } } } } } } }'
+  );
+  const nested = toBulkQuery(`query($first: Int!, $after: String, $query: String) {
+    products(first: $first, after: $after, query: $query) {
+      pageInfo { hasNextPage endCursor }
+      nodes {
+        id
+        variants(first: 100) {
+          nodes { id metafields(first: 25) { nodes { namespace key value } } }
+        }
+      }
+    }
+  }`);
+  assert.match(nested, /variants \{ edges \{ node \{ __typename id metafields \{ edges \{ node \{ __typename namespace key value \} \} \} \} \} \}/);
+  assert.doesNotMatch(nested, /pageInfo|first:/);
+});
+
+test('toBulkQuery keeps metafield columns on products and variants', () => {
+  const bulk = toBulkQuery(withMetafields(sourceQuery('products'), [{ column: 'mf_custom_size', namespace: 'custom', key: 'size' }]));
+  assert.equal(bulk.match(/mf_custom_size: metafield\(namespace: "custom", key: "size"\) \{ type value \}/g).length, 2);
+});
+
+test('parseBulkJsonl rebuilds products with their variants, images and collections', () => {
+  const products = parseBulkJsonl(fixture('bulk-products.jsonl'));
+  assert.deepEqual(products.map(p => p.id), ['gid://shopify/Product/1', 'gid://shopify/Product/2', 'gid://shopify/Product/3']);
+
+  const [tee, mug, giftCard] = products;
+  assert.deepEqual(tee.variants.nodes.map(v => v.sku), ['TEE-S', 'TEE-M']);
+  assert.deepEqual(tee.images.nodes.map(i => i.altText), ['Front', null]);
+  assert.deepEqual(tee.collections.nodes.map(c => c.title), ['Summer']);
+  // A collection shared by two products is attached to both
+  assert.deepEqual(mug.collections.nodes.map(c => c.title), ['Summer', 'Kitchen']);
+  assert.equal(giftCard.variants, undefined);
+
+  const variant = tee.variants.nodes[0];
+  assert.equal(variant.__typename, 'ProductVariant');
+  assert.equal('__parentId' in variant, false);
+  assert.deepEqual(variant.inventoryItem, { id: 'gid://shopify/InventoryItem/111', tracked: true });
+
+  const rows = transformToTable('product_variants', products);
+  assert.equal(rows.length, 3);
+});
+
+test('parseBulkJsonl rebuilds inventory items with their inventory levels', () => {
+  const items = parseBulkJsonl(fixture('bulk-inventory-items.jsonl'));
+  assert.equal(items.length, 2);
+  assert.deepEqual(items[0].inventoryLevels.nodes.map(l => l.location.name), ['Warehouse', 'Shop']);
+  assert.equal(items[1].inventoryLevels, undefined);
+  assert.equal(transformToTable('inventory_levels', items).length, 2);
+});
+
+test('parseBulkJsonl attaches metafields to variants nested under products', () => {
+  const [product] = parseBulkJsonl(fixture('bulk-variant-metafields.jsonl'));
+  const [small, medium] = product.variants.nodes;
+  assert.deepEqual(small.metafields.nodes.map(m => `${m.key}=${m.value}`), ['fit=slim', 'care={"wash":"cold"}']);
+  assert.deepEqual(medium.metafields.nodes.map(m => `${m.key}=${m.value}`), ['fit=regular']);
+  assert.equal(product.metafields, undefined);
+});
+
+test('parseBulkJsonl rejects lines it cannot place', () => {
+  const product = '{"id":"gid://shopify/Product/1"}';
+  assert.throws(
+    () => parseBulkJsonl(`${product}\n{"__typename":"Foo","id":"gid://shopify/Foo/1","__parentId":"gid://shopify/Product/1"}`),
+    /Unexpected bulk result line for Foo/
+  );
+  assert.throws(
+    () => parseBulkJsonl(`${product}\n{"__typename":"ProductVariant","id":"gid://shopify/ProductVariant/9","__parentId":"gid://shopify/Product/404"}`),
+    /Unexpected bulk result line for ProductVariant/
+  );
+  assert.throws(
+    () => parseBulkJsonl(`${product}\n{"id":"gid://shopify/ProductVariant/9","__parentId":"gid://shopify/Product/1"}`),
+    /Unexpected bulk result line for unknown type/
+  );
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockShopify, mockResponse } = require('./helpers/mock-shopify');
+
+process.env.TABLE_CACHE = 'memory';
+
+const query = require('../api/query');
+const { mergeById, latestUpdate, CACHE_TTL_SECONDS, CACHE_MAX_AGE_SECONDS } = require('../lib/cache');
+
+const initialCustomers = [1, 2, 3].map(n => ({ id: `gid://shopify/Customer/${n}`, email: `c${n}@example.com`, updatedAt: `2024-01-0${n}T00:00:00Z` }));
+let customers = initialCustomers;
+test.beforeEach(() => { customers = initialCustomers; });
+
+// Applies the email: and updated_at:>= searches the queries below push down
+function search(nodes, text) {
+  const email = text?.match(/email:(\S+)/);
+  const since = text?.match(/updated_at:>='([^']+)'/);
+  return nodes.filter(n => (!email || n.email === email[1].replace(/"/g, '')) && (!since || n.updatedAt >= since[1]));
+}
+
+let server;
+test.before(async () => {
+  server = await startMockShopify(({ body }) => {
+    const nodes = search(customers, body.variables.query);
+    return { data: { customers: { nodes: nodes.slice(0, body.variables.first), pageInfo: { hasNextPage: body.variables.first < nodes.length, endCursor: 'c' } } } };
+  });
+  process.env.SHOPIFY_BASE_URL = `${server.url}/{shop}`;
+});
+test.after(() => server.close());
+
+// Each test uses its own store name, so it starts from an empty cache
+async function run(storeName, maxRows, sql = 'SELECT email FROM customers') {
+  const res = mockResponse();
+  query({ method: 'POST', headers: {}, body: { sql, maxRows, credentials: { storeName, apiPassword: 'shpat_test' } } }, res);
+  return res.finished;
+}
+
+test('a cached complete table still answers within the row budget', async () => {
+  const full = await run('demo', '1000');
+  assert.equal(full.body.count, 3);
+  assert.equal(full.body.truncated, false);
+  const requests = server.requests.length;
+
+  const limited = await run('demo', '2');
+  assert.equal(server.requests.length, requests);
+  assert.equal(limited.body.tables.customers.cache.status, 'hit');
+  assert.deepEqual(limited.body.results, [{ email: 'c1@example.com' }, { email: 'c2@example.com' }]);
+  assert.equal(limited.body.truncated, true);
+  assert.equal(limited.body.tables.customers.fetched, 2);
+  assert.equal(limited.body.continuation, undefined);
+
+  const exact = await run('demo', '3');
+  assert.equal(exact.body.count, 3);
+  assert.equal(exact.body.truncated, false);
+});
+
+test('a partial unfiltered entry does not answer a filtered query', async () => {
+  const first = await run('partial', '2');
+  assert.deepEqual(first.body.results, [{ email: 'c1@example.com' }, { email: 'c2@example.com' }]);
+
+  const filtered = await run('partial', '2', "SELECT email FROM customers WHERE email = 'c3@example.com'");
+  assert.equal(filtered.body.tables.customers.cache.status, 'miss');
+  assert.deepEqual(filtered.body.results, [{ email: 'c3@example.com' }]);
+});
+
+test('refreshing a filtered entry replaces records that stopped matching its search', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  const sql = "SELECT email FROM customers WHERE email = 'c1@example.com'";
+  assert.deepEqual((await run('refresh', '1000', sql)).body.results, [{ email: 'c1@example.com' }]);
+
+  customers = [{ ...initialCustomers[0], email: 'moved@example.com', updatedAt: '2024-02-01T00:00:00Z' }, ...initialCustomers.slice(1)];
+  t.mock.timers.tick((CACHE_TTL_SECONDS + 1) * 1000);
+  const refreshed = await run('refresh', '1000', sql);
+  assert.equal(refreshed.body.tables.customers.cache.status, 'refreshed');
+  assert.deepEqual(refreshed.body.results, []);
+  assert.equal(server.requests.at(-1).body.variables.query, "updated_at:>='2024-01-01T00:00:00Z'");
+});
+
+test('an entry past its maximum age is fetched again in full, dropping deleted records', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  assert.equal((await run('expire', '1000')).body.count, 3);
+
+  customers = initialCustomers.slice(0, 2);
+  t.mock.timers.tick((CACHE_TTL_SECONDS + 1) * 1000);
+  const refreshed = await run('expire', '1000');
+  assert.equal(refreshed.body.tables.customers.cache.status, 'refreshed');
+  assert.equal(refreshed.body.count, 3);
+
+  t.mock.timers.tick(CACHE_MAX_AGE_SECONDS * 1000);
+  const refetched = await run('expire', '1000');
+  assert.equal(refetched.body.tables.customers.cache.status, 'miss');
+  assert.equal(refetched.body.count, 2);
+});
+
+test('incremental updates replace records by id and move the watermark', () => {
+  const merged = mergeById(initialCustomers, [{ id: initialCustomers[1].id, email: 'new@example.com', updatedAt: '2024-02-01T00:00:00Z' }, { id: 'gid://shopify/Customer/4', updatedAt: '2024-01-15T00:00:00Z' }]);
+  assert.deepEqual(merged.map(c => c.email), ['c1@example.com', 'new@example.com', 'c3@example.com', undefined]);
+  assert.equal(latestUpdate(merged), '2024-02-01T00:00:00Z');
+});
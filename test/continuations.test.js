@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shopify-sql-continuations-'));
+process.env.CONTINUATION_STORE_PATH = dir;
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const { createContinuationStore } = require('../lib/continuations');
+
+const tables = { customers: [{ id: 'gid://shopify/Customer/1' }] };
+
+test('staged rows are read back by handle until discarded', async () => {
+  const store = createContinuationStore('memory', 60);
+  const handle = await store.stage(tables);
+  assert.deepEqual(await store.read(handle), tables);
+  await store.discard(handle);
+  assert.equal(await store.read(handle), null);
+});
+
+test('staged rows expire with the token', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  const store = createContinuationStore('memory', 60);
+  const handle = await store.stage(tables);
+  t.mock.timers.tick(61 * 1000);
+  assert.equal(await store.read(handle), null);
+});
+
+test('a shared backend resumes on another instance and sweeps rows that were never resumed', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  const first = createContinuationStore('fs', 60);
+  const abandoned = await first.stage(tables);
+  assert.deepEqual(await createContinuationStore('fs', 60).read(abandoned), tables);
+  // The memory backend only knows its own instance's rows
+  assert.equal(await createContinuationStore('memory', 60).read(abandoned), null);
+
+  t.mock.timers.tick(61 * 1000);
+  const next = await createContinuationStore('fs', 60).stage(tables);
+  assert.deepEqual(fs.readdirSync(dir), [`${next}.json`]);
+});
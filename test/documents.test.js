@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.SNAPSHOT_RETENTION = '2';
+
+const { fileDocuments, sqliteDocuments } = require('../lib/documents');
+const { createScheduleStore } = require('../lib/schedules');
+const { createApiKeyStore, generateApiKey } = require('../lib/apikeys');
+
+let hasSqlite = true;
+try {
+  require('node:sqlite');
+} catch {
+  hasSqlite = false;
+}
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shopify-sql-documents-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const backends = {
+  fs: name => fileDocuments(path.join(dir, 'files', name)),
+  sqlite: name => sqliteDocuments(path.join(dir, 'documents.db'), name, 'TEST_STORE')
+};
+
+for (const [backend, open] of Object.entries(backends)) {
+  const skip = backend === 'sqlite' && !hasSqlite && 'node:sqlite is not available';
+
+  test(`${backend}: documents round-trip and list in key order`, { skip }, async () => {
+    const docs = open('roundtrip');
+    assert.equal(await docs.get('missing'), null);
+    await docs.set('b', { n: 2 });
+    await docs.set('a', { n: 1 });
+    await docs.set('a|with spaces/and slashes', { n: 3 });
+    await docs.set('b', { n: 20 });
+    assert.deepEqual(await docs.get('b'), { n: 20 });
+    assert.deepEqual(await docs.get('a|with spaces/and slashes'), { n: 3 });
+    assert.equal((await docs.keys()).length, 3);
+    assert.deepEqual((await open('roundtrip').list()).map(d => d.n).sort(), [1, 20, 3]);
+
+    await docs.delete('a');
+    assert.equal(await docs.get('a'), null);
+    await docs.clear();
+    assert.deepEqual(await docs.list(), []);
+  });
+
+  test(`${backend}: collections don't see each other's documents`, { skip }, async () => {
+    await open('one').set('k', 1);
+    await open('two').set('k', 2);
+    assert.equal(await open('one').get('k'), 1);
+    await open('one').clear();
+    assert.equal(await open('two').get('k'), 2);
+  });
+
+  test(`${backend}: schedules keep the newest snapshots`, { skip }, async () => {
+    process.env.SCHEDULE_STORE_PATH = path.join(dir, `schedules-${backend}${backend === 'sqlite' ? '.db' : ''}`);
+    const store = createScheduleStore(backend);
+    await store.saveSchedule({ name: 'low_stock', sql: 'SELECT 1', cron: '0 * * * *' });
+    for (const hour of ['01', '02', '03']) {
+      await store.addSnapshot('low_stock', { takenAt: `2024-01-01T${hour}:00:00.000Z`, rows: [{ hour }] });
+    }
+    assert.deepEqual((await store.listSnapshots('low_stock')).map(s => s.rows[0].hour), ['02', '03']);
+    assert.deepEqual((await store.listSchedules()).map(s => s.name), ['low_stock']);
+
+    await store.deleteSchedule('low_stock');
+    assert.equal(await store.getSchedule('low_stock'), null);
+    assert.deepEqual(await store.listSnapshots('low_stock'), []);
+  });
+
+  test(`${backend}: API keys are found by hash`, { skip }, async () => {
+    process.env.API_KEY_STORE_PATH = path.join(dir, `keys-${backend}${backend === 'sqlite' ? '.db' : ''}`);
+    const store = createApiKeyStore(backend);
+    const { key, ...record } = generateApiKey();
+    await store.saveKey({ ...record, name: 'bi' });
+    assert.equal((await store.findKey(record.hash)).name, 'bi');
+    assert.equal(await store.findKey('../../etc/passwd'), null);
+    assert.equal((await store.listKeys()).length, 1);
+  });
+}
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mockResponse } = require('./helpers/mock-shopify');
+
+process.env.TABLE_CACHE = 'off';
+
+const query = require('../api/query');
+const { csvField, exportFilename, streamExport } = require('../lib/export');
+
+test('CSV fields are quoted per RFC 4180', () => {
+  assert.equal(csvField('plain'), 'plain');
+  assert.equal(csvField('say "hi"'), '"say ""hi"""');
+  assert.equal(csvField('a,b'), '"a,b"');
+  assert.equal(csvField('line one\nline two'), '"line one\nline two"');
+  assert.equal(csvField('crlf\r\n'), '"crlf\r\n"');
+  assert.equal(csvField(null), '');
+  assert.equal(csvField({ a: '"x"' }), '"{""a"":""\\""x\\""""}"');
+});
+
+test('CSV text that reads as a formula gets a leading apostrophe', () => {
+  assert.equal(csvField('=HYPERLINK("http://example.com")'), `"'=HYPERLINK(""http://example.com"")"`);
+  assert.equal(csvField('+1'), "'+1");
+  assert.equal(csvField('-2'), "'-2");
+  assert.equal(csvField('@SUM(A1)'), "'@SUM(A1)");
+  assert.equal(csvField('\tcmd'), "'\tcmd");
+  // Numbers stay numbers
+  assert.equal(csvField(-2), '-2');
+});
+
+test('export filenames are safe in Content-Disposition', () => {
+  assert.equal(exportFilename('Top customers (2024)', 'csv'), 'Top_customers_2024.csv');
+  assert.equal(exportFilename('"; filename=evil.exe', 'csv'), 'filename_evil.exe.csv');
+  assert.equal(exportFilename('../../etc/passwd', 'json'), 'etc_passwd.json');
+  assert.match(exportFilename('', 'jsonl'), /^export_\d+\.jsonl$/);
+});
+
+test('a CSV export streams the header, quoted rows and the attachment headers', async () => {
+  const res = mockResponse();
+  await streamExport(res, 'csv', [{ name: 'a "b"', note: 'x\ny' }, { name: '=1+1', extra: 2 }], 'my report');
+  assert.equal(res.headers['content-type'], 'text/csv; charset=utf-8');
+  assert.equal(res.headers['content-disposition'], 'attachment; filename="my_report.csv"');
+  assert.equal(res.headers['x-row-count'], '2');
+  assert.equal(res.text, 'name,note,extra\r\n"a ""b""","x\ny",\r\n\'=1+1,,2\r\n');
+});
+
+test('only the listed export formats are accepted', async () => {
+  for (const format of ['toString', 'constructor', '__proto__']) {
+    const res = mockResponse();
+    query({ method: 'POST', headers: {}, body: { action: 'export', format, sql: 'SELECT 1 AS n' } }, res);
+    const { statusCode, body } = await res.finished;
+    assert.equal(statusCode, 400);
+    assert.match(body.error, /Unknown export format/);
+  }
+  await assert.rejects(streamExport(mockResponse(), 'toString', [], 'x'), /Unknown export format: toString/);
+});
@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const alasql = require('alasql');
+const { runQuery } = require('../lib/sandbox');
+const { createRateTable, setRateTable } = require('../lib/currency');
+
+const orders = [
+  { id: 1, channel: 'a', amount: 1, note: 'Ref PO-1234', tags: 'vip,wholesale,eu', attributes: '{"gift":{"wrap":true},"items":[{"sku":"X1"}]}' },
+  { id: 2, channel: 'a', amount: 2, note: null, tags: 'retail', attributes: 'not json' },
+  { id: 3, channel: 'b', amount: 3, note: 'no po', tags: '', attributes: null },
+  { id: 4, channel: 'b', amount: 4, note: 'PO-9', tags: null, attributes: '{}' }
+];
+
+const one = (sql, params, options) => runQuery(sql, { orders }, params, options)[0];
+
+test('ROUND rounds halves away from zero in decimal and keeps NULL', () => {
+  assert.deepEqual(one('SELECT ROUND(1.005, 2) AS a, ROUND(-2.5) AS b, ROUND(NULL, 2) AS c FROM orders'), { a: 1.01, b: -3, c: null });
+});
+
+test('string functions give NULL for NULL and keep empty strings', () => {
+  assert.deepEqual(
+    one("SELECT LENGTH(NULL) AS a, LENGTH('') AS b, LOWER('') AS c, UPPER(NULL) AS d FROM orders"),
+    { a: null, b: 0, c: '', d: null }
+  );
+});
+
+test('DATE_ADD clamps to the end of a shorter month', () => {
+  assert.deepEqual(
+    one("SELECT DATE_ADD('2024-01-31', 1, 'month') AS a, DATE_ADD('2023-01-31', 1, 'month') AS b, DATE_ADD('2024-02-29', 1, 'year') AS c FROM orders"),
+    { a: '2024-02-29', b: '2023-02-28', c: '2025-02-28' }
+  );
+});
+
+test('regex, SPLIT_PART and JSON_EXTRACT helpers', () => {
+  const rows = runQuery(`SELECT id,
+      REGEXP_MATCH(note, 'po-(\\d+)', 'i') AS po,
+      REGEXP_REPLACE(note, '\\d', '#') AS masked,
+      SPLIT_PART(tags, ',', 2) AS second_tag,
+      SPLIT_PART(tags, ',', -1) AS last_tag,
+      JSON_EXTRACT(attributes, '$.gift.wrap') AS wrap,
+      JSON_EXTRACT(attributes, 'items[0].sku') AS sku
+    FROM orders ORDER BY id`, { orders });
+  assert.deepEqual(rows, [
+    { id: 1, po: '1234', masked: 'Ref PO-####', second_tag: 'wholesale', last_tag: 'eu', wrap: true, sku: 'X1' },
+    { id: 2, po: null, masked: null, second_tag: '', last_tag: 'retail', wrap: null, sku: null },
+    { id: 3, po: null, masked: 'no po', second_tag: '', last_tag: '', wrap: null, sku: null },
+    { id: 4, po: '9', masked: 'PO-#', second_tag: null, last_tag: null, wrap: null, sku: null }
+  ]);
+  assert.throws(() => runQuery("SELECT REGEXP_MATCH(note, '(') AS m FROM orders", { orders }), /REGEXP_MATCH:/);
+  assert.throws(() => runQuery("SELECT SPLIT_PART(tags, ',', 0) AS p FROM orders", { orders }), /non-zero integer/);
+});
+
+test('JSON_EXTRACT follows bracket paths', () => {
+  const document = JSON.stringify({ 'a key': { list: [1, { "it's": 2 }] } });
+  assert.deepEqual(
+    one('SELECT JSON_EXTRACT(:doc, :double) AS a, JSON_EXTRACT(:doc, :single) AS b, JSON_EXTRACT(:doc, :past) AS c, JSON_EXTRACT(NULL, :double) AS d FROM orders', {
+      doc: document,
+      double: '$["a key"].list[0]',
+      single: "$['a key'].list[1]['it\\'s']",
+      past: '$["a key"].list[5]'
+    }),
+    { a: 1, b: 2, c: null, d: null }
+  );
+  assert.throws(() => one('SELECT JSON_EXTRACT(:doc, :path) AS a FROM orders', { doc: document, path: '$.list[' }), /invalid path/);
+});
+
+test('ABS keeps NULL and reads numeric strings', () => {
+  assert.deepEqual(one("SELECT ABS(-2.5) AS a, ABS('-3') AS b, ABS(NULL) AS c, ABS('x') AS d, ABS('') AS e FROM orders"), { a: 2.5, b: 3, c: null, d: null, e: null });
+});
+
+test('CONVERT_CURRENCY uses the rate on or before the date', () => {
+  setRateTable(createRateTable([
+    { date: '2024-01-01', currency: 'USD', rate: 1 },
+    { date: '2024-01-01', currency: 'EUR', rate: 0.5 },
+    { date: '2024-02-01', currency: 'EUR', rate: 0.8 }
+  ]));
+  try {
+    assert.deepEqual(
+      one("SELECT CONVERT_CURRENCY(10, 'usd', 'EUR', '2024-01-15T12:00:00Z') AS a, CONVERT_CURRENCY(10, 'USD', 'EUR', '2024-03-01') AS b, CONVERT_CURRENCY(10, 'USD', 'EUR') AS c, CONVERT_CURRENCY(10, 'GBP', 'GBP') AS d, CONVERT_CURRENCY(NULL, 'USD', 'EUR') AS e FROM orders"),
+      { a: 5, b: 8, c: 8, d: 10, e: null }
+    );
+    assert.throws(() => one("SELECT CONVERT_CURRENCY(10, 'USD', 'JPY') AS a FROM orders"), /No exchange rate for JPY/);
+    setRateTable(null);
+    assert.throws(() => one("SELECT CONVERT_CURRENCY(10, 'USD', 'EUR') AS a FROM orders"), /needs a rate table/);
+  } finally {
+    setRateTable(undefined);
+  }
+});
+
+test('PERCENTILE keeps each fraction apart in one query', () => {
+  assert.deepEqual(
+    one('SELECT PERCENTILE(amount, 0.5) AS p50, PERCENTILE(amount, 0.9) AS p90, percentile(amount, 0) AS p0, PERCENTILE(amount, :p) AS p_param FROM orders', { p: 1 }),
+    { p50: 2.5, p90: 3.7, p0: 1, p_param: 4 }
+  );
+  assert.deepEqual(
+    runQuery('SELECT channel, PERCENTILE(amount, 0.5) AS median FROM orders GROUP BY channel ORDER BY channel', { orders }),
+    [{ channel: 'a', median: 1.5 }, { channel: 'b', median: 3.5 }]
+  );
+  // Only the per-query aggregates are registered while it runs
+  assert.deepEqual(Object.keys(alasql.aggr).filter(name => name.startsWith('percentile_')), []);
+});
+
+test('PERCENTILE of no values is NULL, and the fraction must be a number from 0 to 1', () => {
+  assert.deepEqual(one('SELECT PERCENTILE(amount, 0.5) AS p FROM orders WHERE id > 10'), { p: null });
+  assert.throws(() => one('SELECT PERCENTILE(amount, 1.5) AS p FROM orders'), /between 0 and 1/);
+  assert.throws(() => one('SELECT PERCENTILE(amount, id) AS p FROM orders'), /number or a :parameter/);
+  assert.throws(() => one('SELECT PERCENTILE(amount) AS p FROM orders'), /a value and a fraction/);
+  // Inside a string it's just text
+  assert.deepEqual(one("SELECT 'PERCENTILE(amount)' AS text FROM orders"), { text: 'PERCENTILE(amount)' });
+});
+
+const newYork = { timezones: { zone: 'America/New_York', stores: { 'tokyo.myshopify.com': 'Asia/Tokyo' } } };
+
+test('date functions read timestamps in the shop timezone', () => {
+  assert.deepEqual(one("SELECT DATE('2024-03-01T03:00:00Z') AS d FROM orders", {}, newYork), { d: '2024-02-29' });
+  assert.deepEqual(one("SELECT DATE('2024-03-01T03:00:00Z') AS d FROM orders"), { d: '2024-03-01' });
+  assert.deepEqual(
+    one("SELECT YEAR('2024-01-01T03:00:00Z') AS y, MONTH('2024-03-01T03:00:00Z') AS m, DAY('2024-03-01T03:00:00Z') AS d, YEAR(NULL) AS a, MONTH('') AS b, DAY('not a date') AS c FROM orders", {}, newYork),
+    { y: 2023, m: 2, d: 29, a: null, b: null, c: null }
+  );
+});
+
+test('TO_SHOP_TZ converts to the shop, a store or an IANA timezone', () => {
+  assert.deepEqual(
+    one("SELECT TO_SHOP_TZ('2024-03-01T03:00:00Z') AS shop, TO_SHOP_TZ('2024-03-01T03:00:00Z', 'tokyo.myshopify.com') AS by_store, TO_SHOP_TZ('2024-07-01T03:00:00Z', 'Europe/London') AS zone, TO_SHOP_TZ(NULL) AS a, TO_SHOP_TZ('not a date') AS b FROM orders", {}, newYork),
+    { shop: '2024-02-29T22:00:00-05:00', by_store: '2024-03-01T12:00:00+09:00', zone: '2024-07-01T04:00:00+01:00', a: null, b: null }
+  );
+  assert.throws(() => one("SELECT TO_SHOP_TZ('2024-03-01T03:00:00Z', 'Mars/Olympus') AS t FROM orders", {}, newYork), /Unknown store or timezone: Mars\/Olympus/);
+
+  // Each row's own store, with the date read from the converted time
+  const rows = runQuery('SELECT channel, DATE(created_at) AS shared, DATE(TO_SHOP_TZ(created_at, channel)) AS own FROM orders ORDER BY channel', {
+    orders: [{ channel: 'new-york', created_at: '2024-03-01T03:00:00Z' }, { channel: 'tokyo.myshopify.com', created_at: '2024-03-01T03:00:00Z' }]
+  }, {}, { timezones: { zone: 'America/New_York', stores: { 'new-york': 'America/New_York', 'tokyo.myshopify.com': 'Asia/Tokyo' } } });
+  assert.deepEqual(rows, [
+    { channel: 'new-york', shared: '2024-02-29', own: '2024-02-29' },
+    { channel: 'tokyo.myshopify.com', shared: '2024-02-29', own: '2024-03-01' }
+  ]);
+});
+
+test('DATE_TRUNC starts weeks on Monday in the shop timezone', () => {
+  assert.deepEqual(
+    one("SELECT DATE_TRUNC('week', '2024-03-10T12:00:00Z') AS sunday, DATE_TRUNC('week', '2024-03-04T03:00:00Z') AS monday_utc, DATE_TRUNC('week', '2024-03-11') AS monday, DATE_TRUNC('month', '2024-03-01T03:00:00Z') AS month, DATE_TRUNC('quarter', '2024-05-15') AS quarter, DATE_TRUNC('hour', '2024-03-10T07:30:00Z') AS hour, DATE_TRUNC('day', NULL) AS none FROM orders", {}, newYork),
+    {
+      sunday: '2024-03-04T00:00:00-05:00',
+      monday_utc: '2024-02-26T00:00:00-05:00',
+      monday: '2024-03-11',
+      month: '2024-02-01T00:00:00-05:00',
+      quarter: '2024-04-01',
+      hour: '2024-03-10T03:00:00-04:00',
+      none: null
+    }
+  );
+  assert.throws(() => one("SELECT DATE_TRUNC('decade', '2024-03-10') AS t FROM orders"), /DATE_TRUNC: unknown unit 'decade'/);
+});
+
+test('DATE_ADD and DATE_DIFF across the start of daylight saving time', () => {
+  assert.deepEqual(
+    one("SELECT DATE_ADD('2024-03-09T12:00:00-05:00', 1, 'day') AS day, DATE_ADD('2024-03-10T06:00:00Z', 24, 'hour') AS hours, DATE_ADD('2024-03-10T01:30:00', 1, 'hour') AS skipped, DATE_ADD(NULL, 1, 'day') AS none FROM orders", {}, newYork),
+    { day: '2024-03-10T12:00:00-04:00', hours: '2024-03-11T02:00:00-04:00', skipped: '2024-03-10T03:30:00-04:00', none: null }
+  );
+  assert.deepEqual(
+    one("SELECT DATE_DIFF('hour', '2024-03-09T12:00:00-05:00', '2024-03-10T12:00:00-04:00') AS hours, DATE_DIFF('day', '2024-03-09T12:00:00-05:00', '2024-03-10T12:00:00-04:00') AS days FROM orders", {}, newYork),
+    { hours: 23, days: 1 }
+  );
+  assert.throws(() => one("SELECT DATE_ADD('2024-03-10', 1.5, 'day') AS t FROM orders"), /whole number/);
+  assert.throws(() => one("SELECT DATE_ADD('2024-03-10', 1, 'fortnight') AS t FROM orders"), /DATE_ADD: unknown unit 'fortnight'/);
+});
+
+test('DATE_DIFF counts whole units and is negative when the second time is earlier', () => {
+  assert.deepEqual(
+    one("SELECT DATE_DIFF('day', '2024-03-10', '2024-03-01') AS back, DATE_DIFF('week', '2024-03-01', '2024-03-14') AS weeks, DATE_DIFF('month', '2024-01-31', '2024-02-29') AS month_end, DATE_DIFF('month', '2024-03-31', '2024-02-29') AS month_back, DATE_DIFF('year', '2020-02-29', '2024-02-28') AS years, DATE_DIFF('day', NULL, '2024-02-01') AS none FROM orders"),
+    { back: -9, weeks: 1, month_end: 1, month_back: -1, years: 3, none: null }
+  );
+  assert.throws(() => one("SELECT DATE_DIFF('fortnight', '2024-01-01', '2024-02-01') AS t FROM orders"), /DATE_DIFF: unknown unit 'fortnight'/);
+});
@@ -0,0 +1,54 @@
+const http = require('http');
+
+// A local stand-in for Shopify. `handle({ shop, path, body, headers })` answers each request with
+// { status, headers, body }, or just the body for a 200. Point the app at it with
+// SHOPIFY_BASE_URL=`${server.url}/{shop}`.
+async function startMockShopify(handle) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', async () => {
+      const [, shop, ...rest] = req.url.split('/');
+      const request = { shop, path: `/${rest.join('/')}`, body: raw ? JSON.parse(raw) : null, headers: req.headers };
+      requests.push(request);
+      try {
+        const reply = await handle(request);
+        const { status = 200, headers = {}, body } = reply && 'body' in reply ? reply : { body: reply };
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(body));
+      } catch (error) {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ errors: [{ message: error.message }] }));
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// A minimal Vercel-style response that resolves once the handler answers; streamed output collects in `text`
+function mockResponse() {
+  let done;
+  const finished = new Promise(resolve => { done = resolve; });
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    text: '',
+    finished,
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; return this; },
+    getHeader(name) { return this.headers[name.toLowerCase()]; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; done(this); return this; },
+    write(chunk) { this.text += chunk; return true; },
+    end(chunk) { if (chunk) this.text += chunk; done(this); return this; }
+  };
+  return res;
+}
+
+module.exports = { startMockShopify, mockResponse };
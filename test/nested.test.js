@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockShopify, mockResponse } = require('./helpers/mock-shopify');
+const fixture = require('./fixtures/nested-connections.json');
+
+process.env.TABLE_CACHE = 'off';
+
+const query = require('../api/query');
+const { nestedConnections, fetchRemainingChildren } = require('../lib/nested');
+const { sourceQuery } = require('../lib/tables');
+const { graphqlUrl } = require('../lib/shopify');
+
+// Top-level pages by cursor, and follow-up node(id:) queries by node and cursor
+let server;
+test.before(async () => {
+  server = await startMockShopify(({ body }) => {
+    const { id, after } = body.variables || {};
+    if (body.query.includes('node(id: $id)')) {
+      const field = body.query.includes('refundLineItems') ? 'refundLineItems' : 'lineItems';
+      return { data: { node: { [field]: structuredClone(fixture.children[id][after]) } } };
+    }
+    return { data: { orders: structuredClone(fixture.orders[after || '']) } };
+  });
+  process.env.SHOPIFY_BASE_URL = `${server.url}/{shop}`;
+});
+test.after(() => server.close());
+test.beforeEach(() => { server.requests.length = 0; });
+
+test('finds the nested connections of a source query, not its plain lists', () => {
+  assert.ok(nestedConnections(sourceQuery('orders')).lineItems);
+  const refunds = nestedConnections(sourceQuery('order_refunds'));
+  assert.deepEqual(Object.keys(refunds), ['refundLineItems']);
+});
+
+test('every line item of a multi-page connection comes back', async () => {
+  const res = mockResponse();
+  query({
+    method: 'POST',
+    headers: {},
+    body: { sql: 'SELECT order_number, COUNT(*) AS n FROM order_line_items GROUP BY order_number ORDER BY order_number', maxRows: '1000', credentials: { storeName: 'demo', apiPassword: 'shpat_test' } }
+  }, res);
+  await res.finished;
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.results, [{ order_number: '#1001', n: 5 }, { order_number: '#1002', n: 1 }, { order_number: '#1003', n: 3 }]);
+  // Two pages of orders, two follow-ups for order 1 and one for order 3; order 2 was already whole
+  const followUps = server.requests.filter(r => r.body.query.includes('node(id: $id)'));
+  assert.deepEqual(followUps.map(r => [r.body.variables.id, r.body.variables.after]), [
+    ['gid://shopify/Order/1', 'o1-2'],
+    ['gid://shopify/Order/1', 'o1-4'],
+    ['gid://shopify/Order/3', 'o3-2']
+  ]);
+  assert.equal(server.requests.length, 5);
+});
+
+test('connections inside plain lists are paged too', async () => {
+  const order = structuredClone(fixture.refundedOrder);
+  await fetchRemainingChildren(graphqlUrl('demo.myshopify.com'), 'shpat_test', sourceQuery('order_refunds'), [order]);
+  const { refundLineItems } = order.refunds[0];
+  assert.deepEqual(refundLineItems.nodes.map(n => n.lineItem.id.split('/').pop()), ['10', '11', '12']);
+  assert.equal(refundLineItems.pageInfo.hasNextPage, false);
+});
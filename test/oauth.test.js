@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startMockShopify, mockResponse } = require('./helpers/mock-shopify');
+
+process.env.SESSION_SECRET = 'test-secret';
+process.env.SHOPIFY_API_KEY = 'client-id';
+process.env.SHOPIFY_API_SECRET = 'client-secret';
+process.env.APP_URL = 'https://app.example.com';
+
+const { verifyHmac, isRecentCallback, exchangeCodeForToken } = require('../lib/oauth');
+const { decodeSession } = require('../lib/session');
+const install = require('../api/auth/install');
+const callback = require('../api/auth/callback');
+
+const SHOP = 'demo.myshopify.com';
+
+let server;
+let tokenReply;
+test.before(async () => {
+  server = await startMockShopify(() => tokenReply);
+  process.env.SHOPIFY_BASE_URL = `${server.url}/{shop}`;
+});
+test.after(() => server.close());
+test.beforeEach(() => {
+  server.requests.length = 0;
+  tokenReply = { access_token: 'shpat_offline', scope: 'read_orders,read_products' };
+});
+
+function sign(params) {
+  const message = Object.keys(params).sort().map(key => `${key}=${params[key]}`).join('&');
+  return { ...params, hmac: crypto.createHmac('sha256', 'client-secret').update(message).digest('hex') };
+}
+
+const cookieValue = (setCookie, name) => [].concat(setCookie).find(c => c.startsWith(`${name}=`))?.split(';')[0].slice(name.length + 1);
+
+async function startInstall() {
+  const res = mockResponse();
+  install({ method: 'GET', query: { shop: 'demo' }, headers: { host: 'app.example.com' } }, res);
+  await res.finished;
+  return res;
+}
+
+async function runCallback(query, cookie) {
+  const res = mockResponse();
+  callback({ method: 'GET', query, headers: { host: 'app.example.com', cookie } }, res);
+  return res.finished;
+}
+
+test('verifies Shopify\'s HMAC over the sorted query parameters', () => {
+  const query = sign({ shop: SHOP, code: 'abc', state: 'n', timestamp: '1700000000' });
+  assert.equal(verifyHmac(query, 'client-secret'), true);
+  assert.equal(verifyHmac({ ...query, code: 'other' }, 'client-secret'), false);
+  assert.equal(verifyHmac(query, 'wrong-secret'), false);
+  assert.equal(verifyHmac({ shop: SHOP }, 'client-secret'), false);
+});
+
+test('install redirects to the authorize URL with the scopes and a state nonce', async () => {
+  const res = await startInstall();
+  const location = new URL(res.headers.location);
+  assert.equal(location.origin + location.pathname, `${server.url}/${SHOP}/admin/oauth/authorize`);
+  assert.equal(location.searchParams.get('client_id'), 'client-id');
+  assert.equal(location.searchParams.get('redirect_uri'), 'https://app.example.com/api/auth/callback');
+  assert.match(location.searchParams.get('scope'), /read_orders/);
+  const state = decodeSession(cookieValue(res.headers['set-cookie'], 'shopify_oauth_state'));
+  assert.equal(state.nonce, location.searchParams.get('state'));
+});
+
+test('exchanges the code for an offline token at the token endpoint', async () => {
+  const token = await exchangeCodeForToken(SHOP, 'the-code');
+  assert.deepEqual(token, { accessToken: 'shpat_offline', scopes: ['read_orders', 'read_products'] });
+  assert.equal(server.requests[0].path, '/admin/oauth/access_token');
+  assert.deepEqual(server.requests[0].body, { client_id: 'client-id', client_secret: 'client-secret', code: 'the-code' });
+});
+
+test('the callback stores the token in the session', async () => {
+  const installed = await startInstall();
+  const nonce = new URL(installed.headers.location).searchParams.get('state');
+  const stateCookie = `shopify_oauth_state=${cookieValue(installed.headers['set-cookie'], 'shopify_oauth_state')}`;
+
+  const res = await runCallback(sign({ shop: SHOP, code: 'the-code', state: nonce, timestamp: String(Math.floor(Date.now() / 1000)) }), stateCookie);
+  assert.equal(res.statusCode, 302);
+  assert.equal(res.headers.location, '/');
+  const session = decodeSession(cookieValue(res.headers['set-cookie'], 'shopify_session'));
+  assert.deepEqual(session.stores, [{ storeName: SHOP, accessToken: 'shpat_offline', scopes: ['read_orders', 'read_products'] }]);
+});
+
+test('the callback rejects a bad HMAC, a mismatched state and a failed exchange', async () => {
+  const installed = await startInstall();
+  const nonce = new URL(installed.headers.location).searchParams.get('state');
+  const stateCookie = `shopify_oauth_state=${cookieValue(installed.headers['set-cookie'], 'shopify_oauth_state')}`;
+  const params = { shop: SHOP, code: 'the-code', state: nonce, timestamp: String(Math.floor(Date.now() / 1000)) };
+
+  assert.equal((await runCallback({ ...sign(params), code: 'swapped' }, stateCookie)).statusCode, 400);
+
+  const otherState = await runCallback(sign({ ...params, state: 'someone-else' }), stateCookie);
+  assert.match(otherState.headers.location, /connect_error=/);
+
+  tokenReply = { status: 400, body: { error: 'invalid_request' } };
+  const failed = await runCallback(sign(params), stateCookie);
+  assert.match(failed.headers.location, /connect_error=/);
+  assert.equal(server.requests.length, 1);
+});
+
+test('callbacks older than five minutes are refused', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  assert.equal(isRecentCallback(String(now - 60)), true);
+  assert.equal(isRecentCallback(String(now - 301)), false);
+  assert.equal(isRecentCallback(String(now + 3600)), false);
+  assert.equal(isRecentCallback(undefined), false);
+  assert.equal(isRecentCallback('soon'), false);
+
+  const installed = await startInstall();
+  const nonce = new URL(installed.headers.location).searchParams.get('state');
+  const stateCookie = `shopify_oauth_state=${cookieValue(installed.headers['set-cookie'], 'shopify_oauth_state')}`;
+  const res = await runCallback(sign({ shop: SHOP, code: 'the-code', state: nonce, timestamp: String(now - 600) }), stateCookie);
+  assert.match(res.headers.location, /connect_error=/);
+  assert.equal(res.headers['set-cookie'], undefined);
+  assert.equal(server.requests.length, 0);
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { planPushdown } = require('../lib/pushdown');
+
+test('pushes WHERE predicates into the table search', () => {
+  const plan = planPushdown("SELECT * FROM orders WHERE financial_status = 'PAID' AND created_at >= '2024-01-01'", ['orders']);
+  assert.equal(plan.orders.search, 'financial_status:paid AND created_at:>="2024-01-01T00:00:00Z"');
+});
+
+test('leaves a table alone when a comma join reads it twice', () => {
+  const plan = planPushdown("SELECT * FROM orders a, orders b WHERE a.financial_status = 'PAID'", ['orders']);
+  assert.deepEqual(plan, {});
+});
+
+test('leaves a table alone when a subquery reads it again', () => {
+  const plan = planPushdown("SELECT * FROM orders WHERE financial_status = 'PAID' AND id IN (SELECT id FROM orders)", ['orders']);
+  assert.deepEqual(plan, {});
+});
+
+test('ignores table names in comments and string literals', () => {
+  const plan = planPushdown("SELECT * FROM orders WHERE note = 'from orders' -- join orders\n AND financial_status = 'PAID'", ['orders']);
+  assert.equal(plan.orders.search, 'financial_status:paid');
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockShopify, mockResponse } = require('./helpers/mock-shopify');
+
+// One page per request: the deadline passes while the first page is on its way
+process.env.QUERY_TIME_BUDGET_MS = '1';
+process.env.TABLE_CACHE = 'off';
+process.env.SESSION_SECRET = 'test-secret';
+
+const query = require('../api/query');
+
+const pages = {
+  null: { nodes: [{ id: 'gid://shopify/Customer/1' }, { id: 'gid://shopify/Customer/2' }], pageInfo: { hasNextPage: true, endCursor: 'c1' } },
+  c1: { nodes: [{ id: 'gid://shopify/Customer/3' }, { id: 'gid://shopify/Customer/4' }], pageInfo: { hasNextPage: true, endCursor: 'c2' } },
+  c2: { nodes: [{ id: 'gid://shopify/Customer/5' }], pageInfo: { hasNextPage: false, endCursor: null } }
+};
+
+let server;
+test.before(async () => {
+  server = await startMockShopify(async ({ body }) => {
+    await new Promise(resolve => setTimeout(resolve, 5));
+    return { data: { customers: pages[body.variables.after] } };
+  });
+  process.env.SHOPIFY_BASE_URL = `${server.url}/{shop}`;
+});
+test.after(() => server.close());
+
+async function run(body) {
+  const res = mockResponse();
+  query({
+    method: 'POST',
+    headers: {},
+    body: { sql: 'SELECT COUNT(*) AS n FROM customers', maxRows: '1000', credentials: { storeName: 'demo', apiPassword: 'shpat_test' }, ...body }
+  }, res);
+  return res.finished;
+}
+
+test('resumes with an opaque token while the staged rows stay on the server', async () => {
+  const first = await run({});
+  assert.equal(first.statusCode, 200);
+  assert.deepEqual(first.body.results, [{ n: 2 }]);
+  assert.equal(first.body.truncated, true);
+  assert.equal(first.body.staged, undefined);
+  assert.ok(first.body.continuation);
+  assert.throws(() => JSON.parse(Buffer.from(first.body.continuation, 'base64url').toString('utf8')));
+
+  const second = await run({ continuation: first.body.continuation });
+  assert.deepEqual(second.body.results, [{ n: 4 }]);
+  const third = await run({ continuation: second.body.continuation });
+  assert.deepEqual(third.body.results, [{ n: 5 }]);
+  assert.equal(third.body.truncated, false);
+  assert.equal(third.body.continuation, undefined);
+
+  // Each token stages under its own handle, used once
+  const replayed = await run({ continuation: first.body.continuation });
+  assert.equal(replayed.statusCode, 400);
+});
+
+test('rejects forged, tampered and mismatched continuation tokens', async () => {
+  const forged = Buffer.from(JSON.stringify({ sql: 'SELECT COUNT(*) AS n FROM customers', stores: { 'demo.myshopify.com': { tables: {} } } })).toString('base64url');
+  assert.equal((await run({ continuation: forged })).statusCode, 400);
+
+  const { body } = await run({});
+  const [version, iv, ciphertext, tag] = body.continuation.split('.');
+  const flipped = ciphertext.slice(0, -2) + (ciphertext.slice(-2) === 'AA' ? 'AB' : 'AA');
+  assert.equal((await run({ continuation: [version, iv, flipped, tag].join('.') })).statusCode, 400);
+
+  // Rows staged for one statement can't be read by another
+  assert.equal((await run({ sql: 'SELECT * FROM customers', continuation: body.continuation })).statusCode, 400);
+  // Client-supplied rows are ignored
+  const resumed = await run({ continuation: body.continuation, staged: { customers: Array(100).fill({ id: 'x' }) } });
+  assert.deepEqual(resumed.body.results, [{ n: 4 }]);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const alasql = require('alasql');
+const { startMockShopify, mockResponse } = require('./helpers/mock-shopify');
+const { validateQuery, runQuery, quoteReservedColumns, sourceOffset } = require('../lib/sandbox');
+const { snapshotTables } = require('../lib/schedules');
+
+process.env.TABLE_CACHE = 'off';
+const query = require('../api/query');
+
+test('only SELECT and WITH statements run', () => {
+  validateQuery('SELECT * FROM orders');
+  validateQuery('WITH big AS (SELECT * FROM orders WHERE total_price > 100) SELECT COUNT(*) FROM big');
+  for (const sql of ['DROP TABLE orders', 'INSERT INTO orders VALUES (1)', 'CREATE TABLE x', 'ATTACH SQLITE DATABASE x("x.db")', 'SELECT * INTO CSV("out.csv") FROM orders']) {
+    assert.throws(() => validateQuery(sql), /not allowed|Only SELECT/, sql);
+  }
+});
+
+test('table functions other than RANGE and UNNEST are rejected wherever they appear', () => {
+  const denied = [
+    'SELECT * FROM JSONL("/tmp/x.jsonl")',
+    'SELECT * FROM ndjson("/tmp/x")',
+    'SELECT * FROM ODS("x.ods")',
+    'SELECT * FROM METEOR(x)',
+    'SELECT * FROM TABLETOP("key")',
+    'SELECT * FROM CSV("/etc/passwd")',
+    'SELECT * FROM orders o JOIN XLSX("x.xlsx") x ON x.id = o.id',
+    'SELECT * FROM orders WHERE id IN (SELECT id FROM FILE("x"))',
+    'SELECT * FROM made_up(1)'
+  ];
+  for (const sql of denied) assert.throws(() => validateQuery(sql), /cannot be used/, sql);
+  validateQuery('SELECT * FROM RANGE(1, 5)');
+  validateQuery("SELECT LOWER(email), JSON_EXTRACT(note, '$.a') FROM orders");
+});
+
+test('each query sees only its own tables and leaves the global registry alone', () => {
+  assert.deepEqual(runQuery('SELECT id FROM orders', { orders: [{ id: 1 }] }), [{ id: 1 }]);
+  assert.throws(() => runQuery('SELECT id FROM orders', { customers: [{ id: 2 }] }), /orders/);
+  assert.equal(alasql.tables.orders, undefined);
+});
+
+// Two stores answering at different speeds, so their requests interleave
+const stores = {
+  'alpha.myshopify.com': { delay: 40, customers: ['alpha-1', 'alpha-2'] },
+  'beta.myshopify.com': { delay: 5, customers: ['beta-1'] }
+};
+
+let server;
+test.before(async () => {
+  server = await startMockShopify(async ({ shop }) => {
+    const { delay, customers } = stores[shop];
+    await new Promise(resolve => setTimeout(resolve, delay));
+    return { data: { customers: { nodes: customers.map(email => ({ id: `gid://shopify/Customer/${email}`, email })), pageInfo: { hasNextPage: false } } } };
+  });
+  process.env.SHOPIFY_BASE_URL = `${server.url}/{shop}`;
+});
+test.after(() => server.close());
+
+function run(storeName, sql) {
+  const res = mockResponse();
+  query({ method: 'POST', headers: {}, body: { sql, credentials: { storeName, apiPassword: 'shpat_test' } } }, res);
+  return res.finished;
+}
+
+test('interleaved requests for two stores each read only their own rows', async () => {
+  const sql = 'SELECT email FROM customers ORDER BY email';
+  const [alpha, beta, alphaAgain] = await Promise.all([
+    run('alpha.myshopify.com', sql),
+    run('beta.myshopify.com', sql),
+    run('alpha.myshopify.com', sql)
+  ]);
+  assert.deepEqual(alpha.body.results, [{ email: 'alpha-1' }, { email: 'alpha-2' }]);
+  assert.deepEqual(beta.body.results, [{ email: 'beta-1' }]);
+  assert.deepEqual(alphaAgain.body.results, alpha.body.results);
+  // The slow store was still loading when the fast one answered
+  assert.ok(server.requests.findIndex(r => r.shop === 'beta.myshopify.com') > 0);
+});
+
+test('a DROP TABLE from one request does not touch another', async () => {
+  const dropped = await run('beta.myshopify.com', 'DROP TABLE customers');
+  assert.equal(dropped.statusCode, 400);
+  const alpha = await run('alpha.myshopify.com', 'SELECT COUNT(*) AS n FROM customers');
+  assert.deepEqual(alpha.body.results, [{ n: 2 }]);
+});
+
+test('offsets in rewritten SQL map back to the SQL as written', () => {
+  const sql = "SELECT store, value FROM snapshot('low_stock') WHERE vendor = :vendor";
+  const quoteEdits = [];
+  const snapshotEdits = [];
+  const rewritten = snapshotTables(quoteReservedColumns(sql, quoteEdits), snapshotEdits).sql;
+  assert.equal(rewritten, 'SELECT [store], [value] FROM snapshot_low_stock WHERE vendor = :[vendor]');
+  const toSource = offset => sourceOffset(sourceOffset(offset, snapshotEdits), quoteEdits);
+  for (const word of ['store', 'value', 'WHERE', 'vendor']) {
+    assert.equal(toSource(rewritten.indexOf(word)), sql.indexOf(word), word);
+  }
+  assert.equal(toSource(rewritten.indexOf('snapshot_low_stock')), sql.indexOf("snapshot('low_stock')"));
+  assert.equal(toSource(rewritten.length), sql.length);
+});
+
+test('parse errors are placed and quoted in the SQL as written', async () => {
+  const cases = [
+    ['SELECT store, value, FROM customers', { line: 1, column: 22 }, '...ELECT store, value, FROM customers\n-----------------------^'],
+    ['EXPLAIN SELECT value,\n  store FROM FROM customers', { line: 2, column: 14 }, 'value,  store FROM FROM customers'],
+    ["SELECT * FROM snapshot('low_stock') WHERE store = :store AND AND 1", { line: 1, column: 62 }, 'store = :store AND AND 1']
+  ];
+  for (const [sql, location, quoted] of cases) {
+    const res = mockResponse();
+    query({ method: 'POST', headers: {}, body: { sql, params: { store: 'x' } } }, res);
+    const { statusCode, body } = await res.finished;
+    assert.equal(statusCode, 400);
+    assert.deepEqual(body.errorLocation, location, sql);
+    assert.ok(body.error.includes(quoted), body.error);
+    assert.ok(!/\[store\]|\[value\]|snapshot_/.test(body.error), body.error);
+  }
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockShopify } = require('./helpers/mock-shopify');
+const { graphqlUrl, createThrottle, throttleDelay, shopifyGraphQL } = require('../lib/shopify');
+
+const cost = (requested, available) => ({
+  cost: {
+    requestedQueryCost: requested,
+    actualQueryCost: requested,
+    throttleStatus: { maximumAvailable: 1000, currentlyAvailable: available, restoreRate: 1000 }
+  }
+});
+
+let server;
+let replies;
+test.before(async () => {
+  server = await startMockShopify(() => replies.shift());
+  process.env.SHOPIFY_BASE_URL = `${server.url}/{shop}`;
+});
+test.after(() => server.close());
+test.beforeEach(() => { server.requests.length = 0; });
+
+const url = () => graphqlUrl('demo.myshopify.com', '2024-10');
+
+test('SHOPIFY_BASE_URL points requests at another server', () => {
+  assert.equal(url(), `${server.url}/demo.myshopify.com/admin/api/2024-10/graphql.json`);
+});
+
+test('retries a THROTTLED response and records the cost of the one that succeeded', async () => {
+  replies = [
+    { errors: [{ message: 'Throttled', extensions: { code: 'THROTTLED' } }], extensions: { cost: { requestedQueryCost: 50, throttleStatus: { maximumAvailable: 1000, currentlyAvailable: 10, restoreRate: 1000 } } } },
+    { data: { shop: { name: 'Demo' } }, extensions: cost(50, 950) }
+  ];
+  const throttle = createThrottle();
+  const data = await shopifyGraphQL(url(), 'shpat_test', { query: '{ shop { name } }' }, { throttle });
+  assert.deepEqual(data, { shop: { name: 'Demo' } });
+  assert.equal(server.requests.length, 2);
+  assert.equal(server.requests[0].headers['x-shopify-access-token'], 'shpat_test');
+  assert.equal(throttle.retries, 1);
+  assert.equal(throttle.actualCost, 50);
+  assert.equal(throttle.currentlyAvailable, 950);
+});
+
+test('retries HTTP 429 after Retry-After and 5xx with backoff', async () => {
+  replies = [
+    { status: 429, headers: { 'Retry-After': '0.01' }, body: { errors: 'Too many requests' } },
+    { status: 503, body: { errors: 'Unavailable' } },
+    { data: { shop: { name: 'Demo' } }, extensions: cost(1, 999) }
+  ];
+  const throttle = createThrottle();
+  await shopifyGraphQL(url(), 'shpat_test', { query: '{ shop { name } }' }, { throttle });
+  assert.equal(server.requests.length, 3);
+  assert.equal(throttle.retries, 2);
+});
+
+test('gives up after maxRetries', async () => {
+  replies = [{ status: 500, headers: { 'Retry-After': '0.01' }, body: {} }, { status: 500, headers: { 'Retry-After': '0.01' }, body: {} }];
+  await assert.rejects(shopifyGraphQL(url(), 'shpat_test', { query: '{ shop { name } }' }, { maxRetries: 1 }), /status code 500/);
+  assert.equal(server.requests.length, 2);
+});
+
+test('GraphQL errors other than THROTTLED fail without a retry', async () => {
+  replies = [{ errors: [{ message: 'Field does not exist' }] }];
+  await assert.rejects(shopifyGraphQL(url(), 'shpat_test', { query: '{ nope }' }), /Field does not exist/);
+  assert.equal(server.requests.length, 1);
+});
+
+test('waits just long enough for the bucket to hold the next request', () => {
+  const throttle = createThrottle();
+  Object.assign(throttle, { maximumAvailable: 1000, currentlyAvailable: 100, restoreRate: 50, observedAt: Date.now(), lastRequestedCost: 200 });
+  const wait = throttleDelay(throttle);
+  assert.ok(wait > 1900 && wait <= 2000, `waited ${wait}ms`);
+  assert.equal(throttleDelay(throttle, 50), 0);
+});